@@ -6,12 +6,17 @@ const { spawn } = require('child_process');
 const { EventEmitter } = require('events');
 
 class BlinkCameraController extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
-        this.outputDir = path.join(os.homedir(), 'BlinkVideos');
+        this.outputDir = options.outputDir || path.join(os.homedir(), 'BlinkVideos');
         this.cameraName = 'Lenovo Performance RGB Camera';
+        this.videoSize = '640x480';
+        this.frameRate = 30;
+        this.savedVideos = [];               // { video, events } paths of clips kept by processVideos
         this.bufferProcess = null;
         this.segmentsWithBlinks = new Set();
+        this.blinkEvents = [];               // Completed blink events with the segment they started in
+        this.openBlinkSegments = new Map();  // channel -> segment where its current blink started
         this.currentSegment = null;
         this.videoQueue = [];
         this.cleanupInterval = null;
@@ -145,8 +150,8 @@ class BlinkCameraController extends EventEmitter {
         const args = [
             '-f', 'dshow',
             '-rtbufsize', '1024M',
-            '-framerate', '30',
-            '-video_size', '640x480',
+            '-framerate', String(this.frameRate),
+            '-video_size', this.videoSize,
             '-i', `video=${this.cameraName}`,
             '-c:v', 'libx264',
             '-preset', 'ultrafast',
@@ -197,13 +202,33 @@ class BlinkCameraController extends EventEmitter {
         this.log('Recording started successfully');
     }
 
-    handleBlinkDetected() {
+    describeSettings() {
+        return {
+            cameraName: this.cameraName,
+            videoSize: this.videoSize,
+            frameRate: this.frameRate,
+            segmentDuration: this.segmentDuration,
+            retentionWindow: this.retentionWindow,
+            outputDir: this.outputDir
+        };
+    }
+
+    handleBlinkDetected(event = null) {
         if (this.currentSegment) {
             this.segmentsWithBlinks.add(this.currentSegment);
+            if (event) {
+                this.openBlinkSegments.set(event.channel, this.currentSegment);
+            }
             this.log(`BLINK DETECTED! Adding ${path.basename(this.currentSegment)} to save list`);
         }
     }
 
+    recordBlinkEvent(event) {
+        const segment = this.openBlinkSegments.get(event.channel) || this.currentSegment;
+        this.openBlinkSegments.delete(event.channel);
+        this.blinkEvents.push({ ...event, segment: segment ? path.basename(segment) : null });
+    }
+
     async processVideos() {
         this.log('\nProcessing videos...');
         
@@ -228,6 +253,16 @@ class BlinkCameraController extends EventEmitter {
                     const newPath = path.join(this.outputDir, newName);
                     fs.renameSync(filePath, newPath);
                     this.log(`Saved video with blink: ${newName}`);
+
+                    // Keep the blink details next to the clip
+                    const events = this.blinkEvents.filter(event => event.segment === file);
+                    let eventsPath = null;
+                    if (events.length > 0) {
+                        eventsPath = path.join(this.outputDir, newName.replace(/\.mp4$/, '.json'));
+                        fs.writeFileSync(eventsPath, JSON.stringify(events, null, 2));
+                    }
+                    this.savedVideos.push({ video: newPath, events: eventsPath });
+                    this.emit('segmentSaved', { video: newPath, events: eventsPath, blinks: events });
                     savedCount++;
                 } else {
                     // Delete segments with no blinks
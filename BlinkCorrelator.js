@@ -0,0 +1,127 @@
+// BlinkCorrelator.js
+const { EventEmitter } = require('events');
+
+/**
+ * Groups per-channel blinks from a CalibratedFlickerDetector into logical events.
+ * Blinks whose onsets fall within windowMs of the first onset belong to one event.
+ * An event covering every channel is 'global' (e.g. a whole-panel blackout), anything
+ * less is 'partial' (e.g. an artifact under one photodiode).
+ *
+ * Emits 'correlatedBlink' once every member has recovered and the window has passed:
+ * { id, type, channels, onset, onsetTime, recovery, recoveryTime, durationMs,
+ *   skewMs, offsets, blinks }
+ * channels are 0-based; offsets[i] is the onset of channels[i] relative to the first onset.
+ */
+class BlinkCorrelator extends EventEmitter {
+    constructor(detector, options = {}) {
+        super();
+        this.detector = detector;
+        this.windowMs = options.windowMs !== undefined ? options.windowMs : 50;
+        this.nextId = 1;
+        this.openGroup = null;
+        this.pending = [];                  // closed to new members, waiting for recoveries
+        this.groupByChannel = new Map();    // channel -> group of its running blink
+        this.counts = { global: 0, partial: 0 };
+
+        detector.on('blinkStart', (event) => this.handleBlinkStart(event));
+        detector.on('blink', (event) => this.handleBlink(event));
+        detector.on('sample', ({ time }) => this.tick(time));
+    }
+
+    handleBlinkStart(event) {
+        const group = this.openGroup;
+        const joins = group &&
+            event.onsetTime - group.onsetTime <= this.windowMs &&
+            !group.members.has(event.channel);
+
+        if (!joins) {
+            this.closeOpenGroup();
+            this.openGroup = {
+                id: this.nextId++,
+                onsetTime: event.onsetTime,
+                members: new Map()
+            };
+        }
+
+        this.openGroup.members.set(event.channel, { onsetTime: event.onsetTime, blink: null });
+        this.groupByChannel.set(event.channel, this.openGroup);
+    }
+
+    handleBlink(event) {
+        const group = this.groupByChannel.get(event.channel);
+        if (!group) return;
+        this.groupByChannel.delete(event.channel);
+        group.members.get(event.channel).blink = event;
+        this.emitCompleted();
+    }
+
+    // Id of the logical event the channel's running blink belongs to, or null
+    eventIdFor(channel) {
+        const group = this.groupByChannel.get(channel);
+        return group ? group.id : null;
+    }
+
+    // How long a group stays open after its first onset. Level detection backdates onsets to
+    // when the dark state began but reports them minDwellMs later, so the group waits that much longer.
+    closeAfterMs() {
+        const detection = this.detector.detection;
+        return detection && detection.mode === 'level' ? this.windowMs + detection.minDwellMs : this.windowMs;
+    }
+
+    tick(now) {
+        if (this.openGroup && now - this.openGroup.onsetTime > this.closeAfterMs()) {
+            this.closeOpenGroup();
+        }
+    }
+
+    closeOpenGroup() {
+        if (this.openGroup) {
+            this.pending.push(this.openGroup);
+            this.openGroup = null;
+            this.emitCompleted();
+        }
+    }
+
+    // Emits closed groups in order, as soon as all of their members have recovered
+    emitCompleted() {
+        while (this.pending.length > 0) {
+            const group = this.pending[0];
+            const members = [...group.members.values()];
+            if (members.some(member => member.blink === null)) return;
+            this.pending.shift();
+            this.emit('correlatedBlink', this.describe(group));
+        }
+    }
+
+    describe(group) {
+        const members = [...group.members.entries()]
+            .map(([channel, member]) => ({ channel, ...member }))
+            .sort((a, b) => a.onsetTime - b.onsetTime || a.channel - b.channel);
+        const onsetTime = members[0].onsetTime;
+        const recoveries = members.map(member => member.blink.recoveryTime);
+        const recoveryTime = recoveries.includes(null) ? null : Math.max(...recoveries);
+        const type = members.length >= this.detector.channelCount ? 'global' : 'partial';
+        this.counts[type]++;
+
+        return {
+            id: group.id,
+            type,
+            channels: members.map(member => member.channel),
+            onset: new Date(onsetTime).toISOString(),
+            onsetTime,
+            recovery: recoveryTime !== null ? new Date(recoveryTime).toISOString() : null,
+            recoveryTime,
+            durationMs: recoveryTime !== null ? recoveryTime - onsetTime : null,
+            skewMs: members[members.length - 1].onsetTime - onsetTime,
+            offsets: members.map(member => member.onsetTime - onsetTime),
+            blinks: members.map(member => member.blink)
+        };
+    }
+
+    // Emits whatever is still grouped at the end of a run; call after detector.flushActiveBlinks()
+    flush() {
+        this.closeOpenGroup();
+    }
+}
+
+module.exports = BlinkCorrelator;
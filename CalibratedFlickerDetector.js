@@ -1,26 +1,201 @@
 // CalibratedFlickerDetector.js
 const DeviceSerialPort = require('./serialport');
+const CalibrationStore = require('./CalibrationStore');
+const FilterChain = require('./FilterChain');
+const FlickerAnalyzer = require('./FlickerAnalyzer');
 const readline = require('readline');
+const { EventEmitter } = require('events');
+
+// Level-mode defaults, as fractions of the calibrated black (0) to white (1) range
+const DEFAULT_DETECTION = {
+    mode: 'delta',       // 'delta' compares consecutive samples, 'level' uses calibrated levels
+    darkLevel: 0.35,     // bright -> dark when the level falls to or below this
+    brightLevel: 0.65,   // dark -> bright when the level rises to or above this
+    minDwellMs: 20       // a new state must hold this long before it is accepted
+};
 
-// Static calibration values storage
-let savedCalibration = {
-    whiteValue: [null, null],
-    blackValue: [null, null],
-    threshold: [null, null]
+// Bright-baseline tracking for long runs; percentages are relative to the calibrated white level
+const DEFAULT_DRIFT = {
+    enabled: true,
+    steadyMs: 2000,             // a channel must stay bright and steady this long before it is tracked
+    steadyTolerance: 0.05,      // "steady" = within this fraction of the white-black range
+    alpha: 0.05,                // how fast the baseline follows steady readings
+    maxAdaptPercent: 20,        // white level and threshold follow the baseline by at most this much
+    reportStepPercent: 5,       // emit 'drift' every time the drift crosses another step
+    recalibratePercent: 25      // emit 'recalibrationNeeded' beyond this
 };
 
-class CalibratedFlickerDetector {
-    constructor() {
-        this.device = new DeviceSerialPort();
-        this.isOn = [false, false];  // Status for both sensors
-        this.wasOn = [false, false]; // Previous status for both sensors
-        this.lastValue = [null, null];
-        this.threshold = [null, null];  // Thresholds for both sensors
-        this.blinkCount = [0, 0];    // Separate blink counts for each sensor
-        
-        // Calibration values for both sensors
-        this.whiteValue = [null, null];
-        this.blackValue = [null, null];
+// Unattended calibration: sample a cycling display and split the readings into bright and dark
+const DEFAULT_AUTO_CALIBRATION = {
+    windowMs: 10000,           // how long to sample while the display cycles
+    sampleRate: 200,           // stream rate when the firmware supports streaming
+    bins: 64,                  // histogram resolution for the bright/dark split
+    minClusterFraction: 0.05,  // each level must hold at least this share of the samples
+    minSeparation: 4           // (bright - dark) / pooled SD needed to accept the split
+};
+
+// Acceptance limits applied to every new calibration (sensor readings are 0-5 V)
+const DEFAULT_CALIBRATION_LIMITS = {
+    maxNoise: 0.15,           // largest SD allowed on the white or black screen, volts
+    minSeparation: 0.5,       // smallest white - black difference, volts
+    minSnr: 10,               // separation / pooled SD
+    saturationLevel: 4.95     // readings at or above this have hit the top of the ADC range
+};
+
+// Math.min(...samples) would pass every sample as an argument, which overflows the call
+// stack for a long streamed calibration window
+function sampleRange(samples) {
+    return samples.reduce((range, value) => ({
+        min: Math.min(range.min, value),
+        max: Math.max(range.max, value)
+    }), { min: Infinity, max: -Infinity });
+}
+
+function describeSamples(samples) {
+    const { min, max } = sampleRange(samples);
+    const mean = samples.reduce((a, b) => a + b, 0) / samples.length;
+    const stdDev = samples.length > 1
+        ? Math.sqrt(samples.reduce((sq, n) => sq + Math.pow(n - mean, 2), 0) / (samples.length - 1))
+        : 0;
+    return {
+        mean,
+        stdDev,
+        min,
+        max,
+        samples: samples.length
+    };
+}
+
+// Otsu's method: the histogram split that maximises the variance between the two classes
+function bimodalSplit(samples, bins) {
+    const { min, max } = sampleRange(samples);
+    const width = (max - min) / bins;
+    const histogram = new Array(bins).fill(0);
+    for (const value of samples) {
+        histogram[Math.min(bins - 1, Math.floor((value - min) / width))]++;
+    }
+
+    const total = samples.length;
+    const sumAll = histogram.reduce((sum, count, i) => sum + count * i, 0);
+    let countLow = 0;
+    let sumLow = 0;
+    let bestVariance = -1;
+    let bestBin = 0;
+
+    for (let i = 0; i < bins - 1; i++) {
+        countLow += histogram[i];
+        sumLow += histogram[i] * i;
+        const countHigh = total - countLow;
+        if (countLow === 0 || countHigh === 0) continue;
+
+        const meanLow = sumLow / countLow;
+        const meanHigh = (sumAll - sumLow) / countHigh;
+        const variance = countLow * countHigh * Math.pow(meanLow - meanHigh, 2);
+        if (variance > bestVariance) {
+            bestVariance = variance;
+            bestBin = i;
+        }
+    }
+
+    return min + (bestBin + 1) * width;
+}
+
+/**
+ * Emits 'blinkStart' when a channel goes dark and 'blink' once it recovers (or the run ends):
+ * { channel, onset, recovery, onsetTime, recoveryTime, durationMs, minValue, minRawValue, minLevelPercent }
+ * channel is the 0-based sensor index; times are ms since the epoch, onset/recovery ISO strings;
+ * minLevelPercent places the darkest reading on the calibrated black (0%) to white (100%) range.
+ * minValue is the darkest filtered reading, minRawValue the darkest reading before the filter chain.
+ * Every reading is also emitted as 'sample' { time, raw, filtered, dark, level } for loggers, after
+ * detection has run on it; dark is the per-channel state, level the calibrated level (0 = black).
+ * While a channel is steadily bright its white baseline is tracked, and the white level and
+ * threshold follow it within bounds: 'drift' { channel, baseline, calibratedWhite, driftPercent,
+ * whiteValue, threshold, time } reports each step, 'recalibrationNeeded' { channel, driftPercent,
+ * limitPercent, time } fires once per channel when the drift passes the limit.
+ * With flickerAnalysis enabled, periodic flicker found in the raw signal is reported separately
+ * from blinks as 'flicker' / 'flickerEnd' episodes (see FlickerAnalyzer).
+ */
+class CalibratedFlickerDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.device = new DeviceSerialPort(options.baudRate, options);
+        this.presetCalibration = options.calibration || null;
+        // Profiles are keyed by sensor serial number plus the optional fixture and display labels
+        this.calibrationStore = options.calibrationStore === false
+            ? null
+            : options.calibrationStore || new CalibrationStore({ directory: options.calibrationDir });
+        this.fixture = options.fixture || null;
+        this.display = options.display || null;
+        this.maxCalibrationAgeHours = options.maxCalibrationAgeHours || 24;
+        // 'manual' prompts for WHITE/BLACK screens, 'auto' learns the levels from a cycling display
+        this.calibrationMode = options.calibrationMode || 'manual';
+        this.autoCalibration = { ...DEFAULT_AUTO_CALIBRATION, ...options.autoCalibration };
+        this.calibrationLimits = { ...DEFAULT_CALIBRATION_LIMITS, ...options.calibrationLimits };
+        this.calibrationProfile = null;
+        // Channel count from configuration, otherwise from the firmware handshake
+        this.channelCount = options.channels || 2;
+        // Explicit filters win; otherwise the chain stored with the calibration profile is used
+        this.explicitFilters = Boolean(options.filters);
+        this.filterChain = new FilterChain(options.filters || [], this.channelCount);
+        this.detection = { ...DEFAULT_DETECTION, ...options.detection };
+        this.drift = { ...DEFAULT_DRIFT, ...options.drift };
+        // Off by default; true uses the analyzer defaults, an object overrides them
+        this.flickerAnalyzer = options.flickerAnalysis
+            ? new FlickerAnalyzer(options.flickerAnalysis === true ? {} : options.flickerAnalysis,
+                channel => this.whiteValue[channel] - this.blackValue[channel])
+            : null;
+        if (this.flickerAnalyzer) {
+            this.flickerAnalyzer.on('flicker', (event) => this.emit('flicker', event));
+            this.flickerAnalyzer.on('flickerEnd', (event) => this.emit('flickerEnd', event));
+        }
+        if (!['delta', 'level'].includes(this.detection.mode)) {
+            throw new Error(`Unknown detection mode: ${this.detection.mode}`);
+        }
+        if (this.detection.darkLevel >= this.detection.brightLevel) {
+            throw new Error('detection.darkLevel must be below detection.brightLevel');
+        }
+        this.resetChannels(this.channelCount);
+    }
+
+    resetChannels(count) {
+        this.channelCount = count;
+        this.isOn = new Array(count).fill(false);  // Status per sensor
+        this.wasOn = new Array(count).fill(false); // Previous status per sensor
+        this.lastValue = new Array(count).fill(null);
+        this.rawValue = new Array(count).fill(null);
+        this.threshold = new Array(count).fill(null);
+
+        // Level-mode state per sensor
+        this.level = new Array(count).fill(null);
+        this.levelState = new Array(count).fill(null);   // 'bright' | 'dark'
+        this.pendingSince = new Array(count).fill(null);
+        this.pendingMin = new Array(count).fill(null);
+        this.pendingRawMin = new Array(count).fill(null);
+
+        // Blink tracking per sensor: whether it is dark, when that changed, the open blink
+        this.dark = new Array(count).fill(false);
+        this.transitionTime = new Array(count).fill(null);
+        this.transitionMin = new Array(count).fill(null);
+        this.transitionRawMin = new Array(count).fill(null);
+        this.activeBlink = new Array(count).fill(null);
+
+        // Calibration values per sensor
+        this.whiteValue = new Array(count).fill(null);
+        this.blackValue = new Array(count).fill(null);
+        this.calibrationStats = Array.from({ length: count }, () => ({}));
+        this.filterChain.reset(count);
+        if (this.flickerAnalyzer) {
+            this.flickerAnalyzer.reset(count);
+        }
+
+        // Drift tracking per sensor, relative to the values calibration produced
+        this.calibratedWhite = new Array(count).fill(null);
+        this.calibratedThreshold = new Array(count).fill(null);
+        this.baseline = new Array(count).fill(null);
+        this.steadySince = new Array(count).fill(null);
+        this.steadyReference = new Array(count).fill(null);
+        this.reportedDriftStep = new Array(count).fill(0);
+        this.recalibrationRequested = new Array(count).fill(false);
     }
 
     createInterface() {
@@ -34,112 +209,286 @@ class CalibratedFlickerDetector {
         console.log('Initializing flicker detector...');
         await this.device.initialize();
         console.log('✓ Connected to port:', this.device.portPath);
+        if (this.device.capabilities) {
+            this.resetChannels(this.device.capabilities.channels);
+        }
+        console.log(`Monitoring ${this.channelCount} sensor channel(s)`);
+        console.log(`Signal filters: ${this.filterChain.describe()}`);
         
-        // Check for saved calibration values
-        if (this.hasSavedCalibration()) {
-            console.log('Found saved calibration values...');
-            await this.loadCalibration();
+        // Calibration handed in by the caller (e.g. simulator runs) skips the prompts
+        if (this.presetCalibration) {
+            console.log('Using provided calibration values...');
+            await this.loadCalibration(this.presetCalibration);
         } else {
-            // Run calibration for both sensors
-            await this.calibrate();
+            const profile = await this.loadProfile();
+            if (profile) {
+                console.log(`Found calibration profile: ${profile.path}`);
+                await this.loadCalibration(profile);
+            } else {
+                await this.runCalibration();
+            }
+        }
+
+        if (this.detection.mode === 'level') {
+            this.checkLevelCalibration();
+            console.log(`Level detection: dark <= ${(this.detection.darkLevel * 100).toFixed(0)}%, ` +
+                `bright >= ${(this.detection.brightLevel * 100).toFixed(0)}%, dwell ${this.detection.minDwellMs} ms`);
         }
+        this.resetDriftTracking();
     }
 
-    hasSavedCalibration() {
-        return savedCalibration.whiteValue[0] !== null && 
-               savedCalibration.blackValue[0] !== null &&
-               savedCalibration.whiteValue[1] !== null && 
-               savedCalibration.blackValue[1] !== null;
+    checkLevelCalibration() {
+        for (let i = 0; i < this.channelCount; i++) {
+            if (Math.abs(this.whiteValue[i] - this.blackValue[i]) < 1e-6) {
+                throw new Error(`Sensor ${i + 1}: white and black levels are identical, level detection needs a calibrated range`);
+            }
+        }
     }
 
-    async loadCalibration() {
-        console.log('\nLoading saved calibration values...');
-        
-        this.whiteValue = [...savedCalibration.whiteValue];
-        this.blackValue = [...savedCalibration.blackValue];
-        this.threshold = [...savedCalibration.threshold];
+    profileKey() {
+        const info = this.device.portInfo || {};
+        return {
+            serialNumber: info.serialNumber || this.device.portPath,
+            fixture: this.fixture,
+            display: this.display
+        };
+    }
+
+    async loadProfile() {
+        if (!this.calibrationStore) return null;
 
-        console.log('\nSensor 1 Calibration:');
-        console.log(`White Level: ${this.whiteValue[0].toFixed(3)}`);
-        console.log(`Black Level: ${this.blackValue[0].toFixed(3)}`);
-        console.log(`Threshold: ${this.threshold[0].toFixed(3)}`);
+        const key = this.profileKey();
+        const profile = await this.calibrationStore.load(key);
+        if (!profile) {
+            console.log(`No calibration profile for sensor ${key.serialNumber}`);
+            return null;
+        }
+        if (profile.channels !== this.channelCount) {
+            console.warn(`Ignoring calibration profile ${profile.path}: it covers ${profile.channels} channel(s), the device has ${this.channelCount}`);
+            return null;
+        }
 
-        console.log('\nSensor 2 Calibration:');
-        console.log(`White Level: ${this.whiteValue[1].toFixed(3)}`);
-        console.log(`Black Level: ${this.blackValue[1].toFixed(3)}`);
-        console.log(`Threshold: ${this.threshold[1].toFixed(3)}`);
+        const ageHours = CalibrationStore.ageHours(profile);
+        if (ageHours > this.maxCalibrationAgeHours) {
+            console.warn(`Warning: calibration profile is ${ageHours.toFixed(1)} hours old (limit ${this.maxCalibrationAgeHours} h), consider recalibrating`);
+        }
+
+        this.calibrationProfile = profile;
+        return profile;
+    }
+
+    async loadCalibration(calibration) {
+        console.log('\nLoading saved calibration values...');
+        this.applyCalibration(calibration);
 
         // Verify saved calibration with a quick test reading
         try {
             const reading = await this.device.ReadSensor();
-            console.log('\nCalibration verification reading:', reading);
+            console.log('\nCalibration verification reading:', reading.values, `(${reading.roundTripMs.toFixed(1)} ms round trip)`);
             console.log('✓ Saved calibration loaded successfully');
         } catch (error) {
             console.log('Error verifying calibration:', error.message);
             console.log('Proceeding with new calibration...');
-            savedCalibration = {
-                whiteValue: [null, null],
-                blackValue: [null, null],
-                threshold: [null, null]
-            };
-            await this.calibrate();
+            this.calibrationProfile = null;
+            await this.runCalibration();
         }
     }
 
-    saveCalibration() {
-        savedCalibration = {
+    // Sets up detection from stored calibration values without a device, e.g. to replay a recording
+    useCalibration(calibration) {
+        this.resetChannels(calibration.whiteValue.length);
+        this.applyCalibration(calibration);
+        if (this.detection.mode === 'level') {
+            this.checkLevelCalibration();
+        }
+        this.resetDriftTracking();
+    }
+
+    applyCalibration(calibration) {
+        if (calibration.whiteValue.length !== this.channelCount) {
+            throw new Error(`Calibration covers ${calibration.whiteValue.length} channel(s) but the device has ${this.channelCount}`);
+        }
+        
+        this.whiteValue = [...calibration.whiteValue];
+        this.blackValue = [...calibration.blackValue];
+        this.threshold = [...calibration.threshold];
+        if (calibration.statistics) {
+            this.calibrationStats = calibration.statistics.map(stats => ({ ...stats }));
+        }
+        if (calibration.filters && !this.explicitFilters) {
+            this.filterChain = new FilterChain(calibration.filters, this.channelCount);
+            console.log(`Signal filters from calibration profile: ${this.filterChain.describe()}`);
+        }
+
+        for (let i = 0; i < this.channelCount; i++) {
+            console.log(`\nSensor ${i + 1} Calibration:`);
+            console.log(`White Level: ${this.whiteValue[i].toFixed(3)}`);
+            console.log(`Black Level: ${this.blackValue[i].toFixed(3)}`);
+            console.log(`Threshold: ${this.threshold[i].toFixed(3)}`);
+        }
+    }
+
+    async saveCalibration() {
+        if (!this.calibrationStore) {
+            console.log('Calibration profile storage disabled, values kept for this session only');
+            return;
+        }
+
+        this.calibrationProfile = await this.calibrationStore.save(this.profileKey(), {
             whiteValue: [...this.whiteValue],
             blackValue: [...this.blackValue],
-            threshold: [...this.threshold]
-        };
-        console.log('Calibration values saved for future use');
+            threshold: [...this.threshold],
+            statistics: this.calibrationStats,
+            filters: this.filterChain.config
+        });
+        console.log(`Calibration values saved for future use: ${this.calibrationProfile.path}`);
     }
 
-    async calibrate() {
-        console.log('\nStarting Calibration Process');
-        console.log('==========================');
-        
-        const rl = this.createInterface();
-        
-        try {
-            // Calibrate Sensor 1
-            console.log('\nCalibrating Sensor 1...');
-            this.whiteValue[0] = await this.calibrateScreen(rl, 'WHITE', 0);
-            console.log(`Sensor 1 White screen value: ${this.whiteValue[0]}`);
+    async runCalibration() {
+        if (this.calibrationMode === 'auto') {
+            return this.autoCalibrate();
+        }
+        return this.calibrate();
+    }
 
-            this.blackValue[0] = await this.calibrateScreen(rl, 'BLACK', 0);
-            console.log(`Sensor 1 Black screen value: ${this.blackValue[0]}`);
+    // Collects readings for durationMs, streamed when the firmware can, polled otherwise
+    async collectSamples(durationMs) {
+        const readings = [];
+        const capabilities = this.device.capabilities;
 
-            const range1 = Math.abs(this.whiteValue[0] - this.blackValue[0]);
-            this.threshold[0] = range1 * 0.5;
+        if (capabilities && capabilities.streaming) {
+            const onData = (reading) => readings.push(reading.values);
+            this.device.on('data', onData);
+            try {
+                await this.device.startStreaming(this.autoCalibration.sampleRate);
+                await new Promise(resolve => setTimeout(resolve, durationMs));
+            } finally {
+                this.device.off('data', onData);
+                await this.device.stopStreaming();
+            }
+            return readings;
+        }
 
-            console.log('\nSensor 1 Calibration Results:');
-            console.log(`White Level: ${this.whiteValue[0].toFixed(3)}`);
-            console.log(`Black Level: ${this.blackValue[0].toFixed(3)}`);
-            console.log(`Calculated Threshold: ${this.threshold[0].toFixed(3)}`);
+        const endTime = Date.now() + durationMs;
+        while (Date.now() < endTime) {
+            const reading = await this.device.ReadSensor();
+            readings.push(reading.values);
+        }
+        return readings;
+    }
 
-            await new Promise(resolve => {
-                rl.question('\nPress Enter to begin calibrating Sensor 2...', resolve);
-            });
+    async autoCalibrate() {
+        const settings = this.autoCalibration;
+        console.log('\nStarting Automatic Calibration');
+        console.log('==============================');
+        console.log(`Sampling for ${(settings.windowMs / 1000).toFixed(1)}s - the display under test must cycle between bright and dark`);
+
+        const readings = await this.collectSamples(settings.windowMs);
+        if (readings.length < 20) {
+            throw new Error(`Auto-calibration failed: only ${readings.length} readings collected`);
+        }
+
+        const failures = [];
+        for (let i = 0; i < this.channelCount; i++) {
+            const result = this.analyzeChannel(readings.map(values => values[i]));
+            if (result.error) {
+                failures.push(`Sensor ${i + 1}: ${result.error}`);
+                continue;
+            }
+
+            this.whiteValue[i] = result.white.mean;
+            this.blackValue[i] = result.black.mean;
+            this.threshold[i] = Math.abs(result.white.mean - result.black.mean) * 0.5;
+            this.calibrationStats[i] = { method: 'auto', white: result.white, black: result.black, split: result.split };
+
+            console.log(`\nSensor ${i + 1} Calibration Results:`);
+            console.log(`White Level: ${this.whiteValue[i].toFixed(3)} (${result.white.samples} samples)`);
+            console.log(`Black Level: ${this.blackValue[i].toFixed(3)} (${result.black.samples} samples)`);
+            console.log(`Calculated Threshold: ${this.threshold[i].toFixed(3)}`);
+            failures.push(...this.assessCalibration(i));
+        }
+
+        if (failures.length > 0) {
+            throw new Error(`Auto-calibration failed - ${failures.join('; ')}`);
+        }
+
+        await this.saveCalibration();
+        return true;
+    }
+
+    // Splits one channel's samples into bright and dark clusters, or explains why it cannot
+    analyzeChannel(samples) {
+        const settings = this.autoCalibration;
+        const overall = describeSamples(samples);
+        if (overall.max - overall.min < 1e-6) {
+            return { error: `signal never changed (constant ${overall.mean.toFixed(3)}), is the display cycling?` };
+        }
 
-            // Calibrate Sensor 2
-            console.log('\nCalibrating Sensor 2...');
-            this.whiteValue[1] = await this.calibrateScreen(rl, 'WHITE', 1);
-            console.log(`Sensor 2 White screen value: ${this.whiteValue[1]}`);
+        const split = bimodalSplit(samples, settings.bins);
+        const dark = samples.filter(value => value < split);
+        const bright = samples.filter(value => value >= split);
+        const darkShare = dark.length / samples.length;
+        const brightShare = bright.length / samples.length;
 
-            this.blackValue[1] = await this.calibrateScreen(rl, 'BLACK', 1);
-            console.log(`Sensor 2 Black screen value: ${this.blackValue[1]}`);
+        if (darkShare < settings.minClusterFraction || brightShare < settings.minClusterFraction) {
+            return {
+                error: `only ${(Math.min(darkShare, brightShare) * 100).toFixed(1)}% of samples were ` +
+                    `${darkShare < brightShare ? 'dark' : 'bright'}, the display did not cycle long enough`
+            };
+        }
+
+        const black = describeSamples(dark);
+        const white = describeSamples(bright);
+        const pooledSd = Math.sqrt((Math.pow(black.stdDev, 2) + Math.pow(white.stdDev, 2)) / 2);
+        const separation = pooledSd > 0 ? (white.mean - black.mean) / pooledSd : Infinity;
+        if (separation < settings.minSeparation) {
+            return {
+                error: `bright (${white.mean.toFixed(3)}) and dark (${black.mean.toFixed(3)}) levels are not clearly ` +
+                    `separated (${separation.toFixed(1)} SD, need ${settings.minSeparation})`
+            };
+        }
 
-            const range2 = Math.abs(this.whiteValue[1] - this.blackValue[1]);
-            this.threshold[1] = range2 * 0.5;
+        return { white, black, split };
+    }
+
+    async calibrate() {
+        console.log('\nStarting Calibration Process');
+        console.log('==========================');
+        
+        const rl = this.createInterface();
+        const failures = [];
+        
+        try {
+            for (let i = 0; i < this.channelCount; i++) {
+                if (i > 0) {
+                    await new Promise(resolve => {
+                        rl.question(`\nPress Enter to begin calibrating Sensor ${i + 1}...`, resolve);
+                    });
+                }
+
+                console.log(`\nCalibrating Sensor ${i + 1}...`);
+                this.whiteValue[i] = await this.calibrateScreen(rl, 'WHITE', i);
+                console.log(`Sensor ${i + 1} White screen value: ${this.whiteValue[i]}`);
+
+                this.blackValue[i] = await this.calibrateScreen(rl, 'BLACK', i);
+                console.log(`Sensor ${i + 1} Black screen value: ${this.blackValue[i]}`);
+
+                const range = Math.abs(this.whiteValue[i] - this.blackValue[i]);
+                this.threshold[i] = range * 0.5;
+
+                console.log(`\nSensor ${i + 1} Calibration Results:`);
+                console.log(`White Level: ${this.whiteValue[i].toFixed(3)}`);
+                console.log(`Black Level: ${this.blackValue[i].toFixed(3)}`);
+                console.log(`Calculated Threshold: ${this.threshold[i].toFixed(3)}`);
+                failures.push(...this.assessCalibration(i));
+            }
 
-            console.log('\nSensor 2 Calibration Results:');
-            console.log(`White Level: ${this.whiteValue[1].toFixed(3)}`);
-            console.log(`Black Level: ${this.blackValue[1].toFixed(3)}`);
-            console.log(`Calculated Threshold: ${this.threshold[1].toFixed(3)}`);
+            if (failures.length > 0) {
+                throw new Error(`Calibration rejected - ${failures.join('; ')}`);
+            }
             
             // Save the calibration values
-            this.saveCalibration();
+            await this.saveCalibration();
             
             return true;
         } catch (error) {
@@ -150,6 +499,49 @@ class CalibratedFlickerDetector {
         }
     }
 
+    // Computes noise, separation, SNR and saturation for a freshly calibrated channel and
+    // stores them with its statistics. Returns the reasons the channel misses the limits.
+    assessCalibration(sensorIndex) {
+        const limits = this.calibrationLimits;
+        const { white, black } = this.calibrationStats[sensorIndex];
+        const separation = white.mean - black.mean;
+        const pooledSd = Math.sqrt((Math.pow(white.stdDev, 2) + Math.pow(black.stdDev, 2)) / 2);
+        const quality = {
+            whiteNoise: white.stdDev,
+            blackNoise: black.stdDev,
+            separation,
+            snr: pooledSd > 0 ? separation / pooledSd : null,   // null: no noise measured
+            saturated: white.max >= limits.saturationLevel || black.max >= limits.saturationLevel,
+            accepted: false,
+            problems: []
+        };
+
+        const problems = quality.problems;
+        const noisiest = Math.max(white.stdDev, black.stdDev);
+        if (noisiest > limits.maxNoise) {
+            problems.push(`noise ${noisiest.toFixed(3)} V SD on the ${white.stdDev >= black.stdDev ? 'white' : 'black'} screen ` +
+                `exceeds ${limits.maxNoise} V - check for ambient light or a loose sensor`);
+        }
+        if (separation < limits.minSeparation) {
+            problems.push(`white (${white.mean.toFixed(3)} V) and black (${black.mean.toFixed(3)} V) are only ` +
+                `${separation.toFixed(3)} V apart, need ${limits.minSeparation} V - check the screens were shown and the sensor faces the display`);
+        } else if (quality.snr !== null && quality.snr < limits.minSnr) {
+            problems.push(`SNR ${quality.snr.toFixed(1)} is below ${limits.minSnr}`);
+        }
+        if (quality.saturated) {
+            problems.push(`readings reach ${Math.max(white.max, black.max).toFixed(3)} V, the sensor is saturated - ` +
+                'reduce display brightness or sensor gain');
+        }
+        quality.accepted = problems.length === 0;
+        this.calibrationStats[sensorIndex].quality = quality;
+
+        const snr = quality.snr !== null ? quality.snr.toFixed(1) : 'n/a';
+        console.log(`Quality: noise ${white.stdDev.toFixed(3)}/${black.stdDev.toFixed(3)} V, ` +
+            `separation ${separation.toFixed(3)} V, SNR ${snr}${quality.saturated ? ', SATURATED' : ''} - ` +
+            `${quality.accepted ? 'accepted' : 'REJECTED'}`);
+        return problems.map(problem => `Sensor ${sensorIndex + 1}: ${problem}`);
+    }
+
     async calibrateScreen(rl, screenType, sensorIndex) {
         console.log(`\nPlease show a ${screenType} screen for Sensor ${sensorIndex + 1}`);
         
@@ -164,7 +556,7 @@ class CalibratedFlickerDetector {
         for (let i = 0; i < numSamples; i++) {
             try {
                 const reading = await this.device.ReadSensor();
-                samples.push(sensorIndex === 0 ? reading.value1 : reading.value2);
+                samples.push(reading.values[sensorIndex]);
                 process.stdout.write('.');
                 await new Promise(resolve => setTimeout(resolve, 100));
             } catch (error) {
@@ -174,50 +566,280 @@ class CalibratedFlickerDetector {
         }
         console.log('\n');
 
-        const average = samples.reduce((a, b) => a + b, 0) / samples.length;
-        
-        const stdDev = Math.sqrt(
-            samples.reduce((sq, n) => sq + Math.pow(n - average, 2), 0) / (samples.length - 1)
-        );
+        const stats = describeSamples(samples);
+        const average = stats.mean;
+        const stdDev = stats.stdDev;
         
         if (stdDev > 0.1 * average) {
             console.warn(`Warning: High variance in ${screenType} readings for Sensor ${sensorIndex + 1} (SD: ${stdDev.toFixed(3)})`);
             console.warn('Consider recalibrating if detection is unreliable');
         }
 
+        // Sample statistics are stored with the calibration profile
+        this.calibrationStats[sensorIndex].method = 'manual';
+        this.calibrationStats[sensorIndex][screenType.toLowerCase()] = stats;
+
         return average;
     }
 
-    detectStateChange(currentValue1, currentValue2) {
-        const changes = [false, false];
+    // values are raw readings; detection runs on the filtered ones
+    detectStateChange(rawValues, now = Date.now()) {
+        const values = this.filterChain.process(rawValues);
+        this.rawValue = [...rawValues];
+        if (this.flickerAnalyzer) {
+            // Unfiltered, since smoothing stages would hide the flicker being measured
+            this.flickerAnalyzer.addSample(rawValues, now);
+        }
 
-        // Process Sensor 1
-        if (this.lastValue[0] === null) {
-            this.lastValue[0] = currentValue1;
-        } else {
-            const change1 = Math.abs(currentValue1 - this.lastValue[0]);
-            this.lastValue[0] = currentValue1;
-            this.isOn[0] = change1 >= this.threshold[0];
-            changes[0] = true;
+        const changes = this.detection.mode === 'level'
+            ? this.detectLevelChange(values, now)
+            : this.detectDeltaChange(values, now);
+
+        for (let i = 0; i < this.channelCount; i++) {
+            if (changes[i]) {
+                this.trackBlink(i, values[i], rawValues[i], now);
+                this.wasOn[i] = this.isOn[i];
+            }
         }
 
-        // Process Sensor 2
-        if (this.lastValue[1] === null) {
-            this.lastValue[1] = currentValue2;
-        } else {
-            const change2 = Math.abs(currentValue2 - this.lastValue[1]);
-            this.lastValue[1] = currentValue2;
-            this.isOn[1] = change2 >= this.threshold[1];
-            changes[1] = true;
+        if (this.drift.enabled) {
+            this.trackBaseline(values, now);
         }
 
+        this.emit('sample', {
+            time: now,
+            raw: rawValues,
+            filtered: values,
+            dark: [...this.dark],
+            level: values.map((value, i) => this.normalizeLevel(i, value))
+        });
         return changes;
     }
 
-    logBlink(sensorIndex) {
-        this.blinkCount[sensorIndex]++;
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] Blink detected on Sensor ${sensorIndex + 1}! (Sensor ${sensorIndex + 1} total blinks: ${this.blinkCount[sensorIndex]})`);
+    // Takes the current calibration as the reference that drift is measured against
+    resetDriftTracking() {
+        for (let i = 0; i < this.channelCount; i++) {
+            this.calibratedWhite[i] = this.whiteValue[i];
+            this.calibratedThreshold[i] = this.threshold[i];
+            this.baseline[i] = this.whiteValue[i];
+            this.steadySince[i] = null;
+            this.steadyReference[i] = null;
+            this.reportedDriftStep[i] = 0;
+            this.recalibrationRequested[i] = false;
+        }
+    }
+
+    trackBaseline(values, now) {
+        const settings = this.drift;
+
+        for (let i = 0; i < this.channelCount; i++) {
+            const calibratedWhite = this.calibratedWhite[i];
+            if (!calibratedWhite) continue;
+
+            const range = calibratedWhite - this.blackValue[i];
+            const value = values[i];
+            // Only bright, settled readings count: not during a blink, a pending transition or a dark screen
+            const bright = !this.dark[i] && !this.activeBlink[i] && this.pendingSince[i] === null &&
+                value > this.blackValue[i] + range * 0.5;
+            if (!bright) {
+                this.steadySince[i] = null;
+                continue;
+            }
+
+            if (this.steadySince[i] === null ||
+                Math.abs(value - this.steadyReference[i]) > Math.abs(range) * settings.steadyTolerance) {
+                this.steadySince[i] = now;
+                this.steadyReference[i] = value;
+                continue;
+            }
+            if (now - this.steadySince[i] < settings.steadyMs) continue;
+
+            this.baseline[i] += settings.alpha * (value - this.baseline[i]);
+            this.steadyReference[i] = this.baseline[i];
+            this.adaptToBaseline(i, now);
+        }
+    }
+
+    adaptToBaseline(sensorIndex, now) {
+        const settings = this.drift;
+        const calibratedWhite = this.calibratedWhite[sensorIndex];
+        const driftPercent = (this.baseline[sensorIndex] - calibratedWhite) / calibratedWhite * 100;
+
+        // The working white level follows the baseline, clamped to the allowed adaptation
+        const bound = Math.abs(calibratedWhite) * settings.maxAdaptPercent / 100;
+        const whiteValue = Math.min(calibratedWhite + bound, Math.max(calibratedWhite - bound, this.baseline[sensorIndex]));
+        const calibratedRange = calibratedWhite - this.blackValue[sensorIndex];
+        this.whiteValue[sensorIndex] = whiteValue;
+        this.threshold[sensorIndex] = this.calibratedThreshold[sensorIndex] *
+            (whiteValue - this.blackValue[sensorIndex]) / calibratedRange;
+
+        const step = Math.trunc(Math.abs(driftPercent) / settings.reportStepPercent);
+        if (step !== this.reportedDriftStep[sensorIndex]) {
+            this.reportedDriftStep[sensorIndex] = step;
+            this.emit('drift', {
+                channel: sensorIndex,
+                baseline: this.baseline[sensorIndex],
+                calibratedWhite,
+                driftPercent,
+                whiteValue,
+                threshold: this.threshold[sensorIndex],
+                time: now
+            });
+        }
+
+        if (Math.abs(driftPercent) > settings.recalibratePercent && !this.recalibrationRequested[sensorIndex]) {
+            this.recalibrationRequested[sensorIndex] = true;
+            this.emit('recalibrationNeeded', {
+                channel: sensorIndex,
+                driftPercent,
+                limitPercent: settings.recalibratePercent,
+                time: now
+            });
+        }
+    }
+
+    detectDeltaChange(values, now) {
+        const changes = new Array(this.channelCount).fill(false);
+
+        for (let i = 0; i < this.channelCount; i++) {
+            const currentValue = values[i];
+            if (this.lastValue[i] === null) {
+                this.lastValue[i] = currentValue;
+            } else {
+                const delta = currentValue - this.lastValue[i];
+                this.lastValue[i] = currentValue;
+                this.isOn[i] = Math.abs(delta) >= this.threshold[i];
+                changes[i] = true;
+
+                // A large drop starts a blink, a large rise ends it
+                if (this.isOn[i] && this.dark[i] !== (delta < 0)) {
+                    this.dark[i] = delta < 0;
+                    this.transitionTime[i] = now;
+                    this.transitionMin[i] = currentValue;
+                    this.transitionRawMin[i] = this.rawValue[i];
+                }
+            }
+        }
+
+        return changes;
+    }
+
+    // Position of a reading between the calibrated black (0) and white (1) levels
+    normalizeLevel(sensorIndex, value) {
+        return (value - this.blackValue[sensorIndex]) / (this.whiteValue[sensorIndex] - this.blackValue[sensorIndex]);
+    }
+
+    // Classifies each channel as bright or dark with hysteresis and a minimum dwell time.
+    // isOn is true while a channel is dark, so one blink is one dark-then-bright pair.
+    detectLevelChange(values, now) {
+        const changes = new Array(this.channelCount).fill(false);
+
+        for (let i = 0; i < this.channelCount; i++) {
+            const level = this.normalizeLevel(i, values[i]);
+            this.level[i] = level;
+            this.lastValue[i] = values[i];
+
+            if (this.levelState[i] === null) {
+                // Starting dark is not a blink; wait for the channel to go bright first
+                this.levelState[i] = level >= 0.5 ? 'bright' : 'dark';
+                this.isOn[i] = this.wasOn[i] = this.levelState[i] === 'dark';
+                continue;
+            }
+
+            const candidate = this.levelState[i] === 'bright'
+                ? (level <= this.detection.darkLevel ? 'dark' : null)
+                : (level >= this.detection.brightLevel ? 'bright' : null);
+
+            if (candidate === null) {
+                this.pendingSince[i] = null;
+            } else {
+                if (this.pendingSince[i] === null) {
+                    this.pendingSince[i] = now;
+                    this.pendingMin[i] = values[i];
+                    this.pendingRawMin[i] = this.rawValue[i];
+                } else {
+                    this.pendingMin[i] = Math.min(this.pendingMin[i], values[i]);
+                    this.pendingRawMin[i] = Math.min(this.pendingRawMin[i], this.rawValue[i]);
+                }
+                if (now - this.pendingSince[i] >= this.detection.minDwellMs) {
+                    // The transition happened when the new state was first seen, not when the dwell ran out
+                    this.levelState[i] = candidate;
+                    this.dark[i] = candidate === 'dark';
+                    this.transitionTime[i] = this.pendingSince[i];
+                    this.transitionMin[i] = this.pendingMin[i];
+                    this.transitionRawMin[i] = this.pendingRawMin[i];
+                    this.pendingSince[i] = null;
+                }
+            }
+
+            this.isOn[i] = this.levelState[i] === 'dark';
+            changes[i] = true;
+        }
+
+        return changes;
+    }
+
+    trackBlink(sensorIndex, value, rawValue, now) {
+        const active = this.activeBlink[sensorIndex];
+
+        if (this.dark[sensorIndex] && !active) {
+            const onsetTime = this.transitionTime[sensorIndex] !== null ? this.transitionTime[sensorIndex] : now;
+            const transitionRawMin = this.transitionRawMin[sensorIndex];
+            this.activeBlink[sensorIndex] = {
+                channel: sensorIndex,
+                onsetTime,
+                minValue: Math.min(value, this.transitionMin[sensorIndex] !== null ? this.transitionMin[sensorIndex] : value),
+                minRawValue: Math.min(rawValue, transitionRawMin !== null ? transitionRawMin : rawValue)
+            };
+            this.emit('blinkStart', {
+                channel: sensorIndex,
+                onset: new Date(onsetTime).toISOString(),
+                onsetTime,
+                value
+            });
+        } else if (this.dark[sensorIndex] && active) {
+            active.minValue = Math.min(active.minValue, value);
+            active.minRawValue = Math.min(active.minRawValue, rawValue);
+        } else if (!this.dark[sensorIndex] && active) {
+            const recoveryTime = this.transitionTime[sensorIndex] !== null ? this.transitionTime[sensorIndex] : now;
+            this.finishBlink(sensorIndex, recoveryTime);
+        }
+    }
+
+    finishBlink(sensorIndex, recoveryTime) {
+        const active = this.activeBlink[sensorIndex];
+        this.activeBlink[sensorIndex] = null;
+
+        const range = this.whiteValue[sensorIndex] - this.blackValue[sensorIndex];
+        const event = {
+            channel: sensorIndex,
+            onset: new Date(active.onsetTime).toISOString(),
+            recovery: recoveryTime !== null ? new Date(recoveryTime).toISOString() : null,
+            onsetTime: active.onsetTime,
+            recoveryTime,
+            durationMs: recoveryTime !== null ? recoveryTime - active.onsetTime : null,
+            minValue: active.minValue,
+            minRawValue: active.minRawValue,
+            minLevelPercent: range ? ((active.minValue - this.blackValue[sensorIndex]) / range) * 100 : null
+        };
+        this.emit('blink', event);
+        return event;
+    }
+
+    // Emits blinks that are still dark (e.g. when the run ends) with no recovery time
+    flushActiveBlinks() {
+        const events = [];
+        for (let i = 0; i < this.channelCount; i++) {
+            if (this.activeBlink[i]) {
+                events.push(this.finishBlink(i, null));
+            }
+        }
+        return events;
+    }
+
+    // Ends flicker episodes that are still running when the run ends
+    flushFlicker() {
+        return this.flickerAnalyzer ? this.flickerAnalyzer.flush() : [];
     }
 
     async cleanup() {
@@ -226,20 +848,34 @@ class CalibratedFlickerDetector {
         console.log('✓ Device closed successfully');
     }
 
-    // Static method to clear saved calibration if needed
-    static clearSavedCalibration() {
-        savedCalibration = {
-            whiteValue: [null, null],
-            blackValue: [null, null],
-            threshold: [null, null]
-        };
+    // Deletes the stored profile for the connected sensor, fixture and display
+    async clearSavedCalibration() {
+        this.calibrationProfile = null;
+        if (this.calibrationStore) {
+            await this.calibrationStore.remove(this.profileKey());
+        }
         console.log('Cleared saved calibration values');
     }
 
-    // Method to force recalibration
+    // Calibrates again. The stored profile is only overwritten once the new calibration has
+    // passed; if it is rejected or fails, the previous values stay in use and on disk.
     async recalibrate() {
-        CalibratedFlickerDetector.clearSavedCalibration();
-        await this.calibrate();
+        const previous = {
+            whiteValue: [...this.whiteValue],
+            blackValue: [...this.blackValue],
+            threshold: [...this.threshold],
+            calibrationStats: this.calibrationStats.map(stats => ({ ...stats })),
+            calibrationProfile: this.calibrationProfile
+        };
+
+        try {
+            await this.runCalibration();
+        } catch (error) {
+            Object.assign(this, previous);
+            console.log('Keeping the previous calibration');
+            throw error;
+        }
+        this.resetDriftTracking();
     }
 }
 
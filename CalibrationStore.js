@@ -0,0 +1,74 @@
+// CalibrationStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const PROFILE_VERSION = 1;
+
+/**
+ * Calibration profiles on disk, one JSON file per sensor board / fixture / display.
+ * Profiles carry a format version so older files can be recognised after format changes.
+ */
+class CalibrationStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.homedir(), 'BlinkCalibration');
+    }
+
+    // key: { serialNumber, fixture, display }
+    profilePath(key) {
+        const parts = [key.serialNumber, key.fixture, key.display]
+            .filter(Boolean)
+            .map(part => String(part).replace(/[^A-Za-z0-9._-]+/g, '-'));
+        return path.join(this.directory, `calibration_${parts.join('_')}.json`);
+    }
+
+    async load(key) {
+        const filePath = this.profilePath(key);
+        let profile;
+        try {
+            profile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Failed to read calibration profile ${filePath}: ${error.message}`);
+        }
+
+        if (profile.version !== PROFILE_VERSION) {
+            console.warn(`Ignoring calibration profile ${filePath}: format version ${profile.version} is not supported`);
+            return null;
+        }
+        return { ...profile, path: filePath };
+    }
+
+    async save(key, calibration) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const profile = {
+            version: PROFILE_VERSION,
+            serialNumber: key.serialNumber,
+            fixture: key.fixture || null,
+            display: key.display || null,
+            createdAt: new Date().toISOString(),
+            channels: calibration.whiteValue.length,
+            ...calibration
+        };
+        const filePath = this.profilePath(key);
+        await fs.writeFile(filePath, JSON.stringify(profile, null, 2), 'utf8');
+        return { ...profile, path: filePath };
+    }
+
+    async remove(key) {
+        try {
+            await fs.unlink(this.profilePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    static ageHours(profile, now = Date.now()) {
+        return (now - new Date(profile.createdAt).getTime()) / 3600000;
+    }
+}
+
+CalibrationStore.PROFILE_VERSION = PROFILE_VERSION;
+
+module.exports = CalibrationStore;
@@ -3,8 +3,8 @@ const fs = require('fs').promises;
 const path = require('path');
 
 class DeviceSnapshotComparer {
-    constructor() {
-        this.snapshotPath = path.join(__dirname, 'snapshots');
+    constructor(snapshotPath = path.join(__dirname, 'snapshots')) {
+        this.snapshotPath = snapshotPath;
         this.timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     }
 
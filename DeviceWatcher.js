@@ -0,0 +1,108 @@
+// DeviceWatcher.js
+const { EventEmitter } = require('events');
+
+/**
+ * Watches the port list for the sensor board behind a DeviceSerialPort.
+ * The device is identified by serial number (falling back to its path), so it is
+ * found again even if it comes back on a different COM port.
+ *
+ * Events: 'disconnected' { serialNumber, path, reason, time }
+ *         'reconnected'  { serialNumber, path, time, gapMs }
+ */
+class DeviceWatcher extends EventEmitter {
+    constructor(device, options = {}) {
+        super();
+        this.device = device;
+        this.pollInterval = options.pollInterval || 1000;
+        this.serialNumber = null;
+        this.path = null;
+        this.connected = false;
+        this.disconnectedAt = null;
+        this.reconnecting = false;
+        this.timer = null;
+        this.handlePortError = this.handlePortError.bind(this);
+    }
+
+    start() {
+        const info = this.device.portInfo || {};
+        this.serialNumber = info.serialNumber || null;
+        this.path = this.device.portPath;
+        this.connected = true;
+
+        this.device.on('portError', this.handlePortError);
+        this.timer = setInterval(() => {
+            this.poll().catch(error => {
+                console.error(`Device watcher error: ${error.message}`);
+            });
+        }, this.pollInterval);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.device.off('portError', this.handlePortError);
+    }
+
+    isSameDevice(port) {
+        return this.serialNumber ? port.serialNumber === this.serialNumber : port.path === this.path;
+    }
+
+    handlePortError(error) {
+        if (this.connected) {
+            this.markDisconnected(error.message);
+        }
+    }
+
+    async poll() {
+        if (this.reconnecting) return;
+
+        const ports = await this.device.transport.list();
+        const present = ports.find(port => this.isSameDevice(port));
+
+        if (this.connected) {
+            if (!present) {
+                this.markDisconnected('Device removed');
+            }
+        } else if (present) {
+            await this.reconnect(present);
+        }
+    }
+
+    markDisconnected(reason) {
+        this.connected = false;
+        this.disconnectedAt = Date.now();
+        this.emit('disconnected', {
+            serialNumber: this.serialNumber,
+            path: this.path,
+            reason,
+            time: new Date(this.disconnectedAt).toISOString()
+        });
+    }
+
+    async reconnect(port) {
+        this.reconnecting = true;
+        try {
+            await this.device.reopen(port.path);
+            this.path = port.path;
+            this.connected = true;
+
+            const now = Date.now();
+            this.emit('reconnected', {
+                serialNumber: this.serialNumber,
+                path: port.path,
+                time: new Date(now).toISOString(),
+                gapMs: now - this.disconnectedAt
+            });
+        } catch (error) {
+            // Device may still be enumerating; the next poll tries again
+            console.log(`Reconnect to ${port.path} failed: ${error.message}`);
+        } finally {
+            this.reconnecting = false;
+        }
+    }
+}
+
+module.exports = DeviceWatcher;
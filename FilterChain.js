@@ -0,0 +1,192 @@
+// FilterChain.js
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Sliding window of the most recent inputs
+function createWindow(size) {
+    const samples = [];
+    return {
+        samples,
+        push(value) {
+            samples.push(value);
+            if (samples.length > size) samples.shift();
+        }
+    };
+}
+
+function requirePositiveInteger(type, name, value) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Filter '${type}': ${name} must be a positive integer, got ${value}`);
+    }
+}
+
+/**
+ * Stage factories. Each returns a stateful filter for one channel: process(value) -> value.
+ * Defaults are merged in before the factory is called.
+ */
+const stages = {
+    // Mean of the last windowSize readings; smooths backlight PWM ripple
+    movingAverage: {
+        defaults: { windowSize: 5 },
+        create({ windowSize }) {
+            requirePositiveInteger('movingAverage', 'windowSize', windowSize);
+            const window = createWindow(windowSize);
+            return value => {
+                window.push(value);
+                return window.samples.reduce((a, b) => a + b, 0) / window.samples.length;
+            };
+        }
+    },
+
+    // Median of the last windowSize readings; removes short spikes without smearing edges
+    median: {
+        defaults: { windowSize: 5 },
+        create({ windowSize }) {
+            requirePositiveInteger('median', 'windowSize', windowSize);
+            const window = createWindow(windowSize);
+            return value => {
+                window.push(value);
+                return median(window.samples);
+            };
+        }
+    },
+
+    // Exponential smoothing: output += alpha * (input - output)
+    ema: {
+        defaults: { alpha: 0.3 },
+        create({ alpha }) {
+            if (!(alpha > 0 && alpha <= 1)) {
+                throw new Error(`Filter 'ema': alpha must be in (0, 1], got ${alpha}`);
+            }
+            let output = null;
+            return value => {
+                output = output === null ? value : output + alpha * (value - output);
+                return output;
+            };
+        }
+    },
+
+    // A jump larger than tolerance only passes once it has held for `samples` readings;
+    // until then the previous output is repeated. Smaller changes pass straight through.
+    debounce: {
+        defaults: { samples: 3, tolerance: 0.2 },
+        create({ samples, tolerance }) {
+            requirePositiveInteger('debounce', 'samples', samples);
+            let output = null;
+            let pending = 0;
+            let direction = 0;
+            return value => {
+                if (output === null || Math.abs(value - output) <= tolerance) {
+                    output = value;
+                    pending = 0;
+                    return output;
+                }
+
+                const sign = Math.sign(value - output);
+                pending = sign === direction ? pending + 1 : 1;
+                direction = sign;
+                if (pending >= samples) {
+                    output = value;
+                    pending = 0;
+                }
+                return output;
+            };
+        }
+    },
+
+    // Hampel filter: a reading more than maxDeviation robust SDs (1.4826 * MAD) from the
+    // median of the last windowSize readings is replaced by that median
+    outlier: {
+        defaults: { windowSize: 7, maxDeviation: 3.5, minSpread: 0.01 },
+        create({ windowSize, maxDeviation, minSpread }) {
+            requirePositiveInteger('outlier', 'windowSize', windowSize);
+            const window = createWindow(windowSize);
+            return value => {
+                const history = window.samples;
+                let output = value;
+                if (history.length >= 3) {
+                    const center = median(history);
+                    // minSpread keeps a perfectly flat history from rejecting every change
+                    const spread = Math.max(1.4826 * median(history.map(v => Math.abs(v - center))), minSpread);
+                    if (Math.abs(value - center) > maxDeviation * spread) {
+                        output = center;
+                    }
+                }
+                window.push(value);
+                return output;
+            };
+        }
+    }
+};
+
+/**
+ * Per-channel signal conditioning ahead of detection. The chain is a list of stages, e.g.
+ *   [{ type: 'outlier' }, { type: 'median', windowSize: 5 }, { type: 'ema', alpha: 0.4 }]
+ * applied in order. A stage with `channels: [0, 2]` only runs on those 0-based channels.
+ */
+class FilterChain {
+    constructor(config = [], channelCount = 2) {
+        this.config = FilterChain.normalize(config);
+        this.channelCount = channelCount;
+        this.reset();
+    }
+
+    // Fills in defaults and rejects unknown stages or parameters before anything runs
+    static normalize(config) {
+        if (!Array.isArray(config)) {
+            throw new Error('Filter chain must be an array of stages');
+        }
+        return config.map(stage => {
+            const definition = stages[stage.type];
+            if (!definition) {
+                throw new Error(`Unknown filter type: ${stage.type} (expected one of ${Object.keys(stages).join(', ')})`);
+            }
+            const normalized = { ...definition.defaults, ...stage };
+            const unknown = Object.keys(normalized)
+                .filter(key => key !== 'type' && key !== 'channels' && !(key in definition.defaults));
+            if (unknown.length > 0) {
+                throw new Error(`Filter '${stage.type}' does not take: ${unknown.join(', ')}`);
+            }
+            return normalized;
+        });
+    }
+
+    // Discards filter history, e.g. after a reconnect or a channel-count change
+    reset(channelCount = this.channelCount) {
+        this.channelCount = channelCount;
+        this.filters = Array.from({ length: channelCount }, (_, channel) =>
+            this.config
+                .filter(stage => !stage.channels || stage.channels.includes(channel))
+                .map(stage => stages[stage.type].create(stage))
+        );
+    }
+
+    process(values) {
+        return values.map((value, channel) => {
+            const chain = this.filters[channel] || [];
+            return chain.reduce((current, filter) => filter(current), value);
+        });
+    }
+
+    get isEmpty() {
+        return this.config.length === 0;
+    }
+
+    describe() {
+        if (this.isEmpty) return 'none';
+        return this.config.map(stage => {
+            const params = Object.entries(stage)
+                .filter(([key]) => key !== 'type')
+                .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join('/') : value}`);
+            return `${stage.type}(${params.join(', ')})`;
+        }).join(' -> ');
+    }
+}
+
+FilterChain.stages = Object.keys(stages);
+
+module.exports = FilterChain;
@@ -0,0 +1,219 @@
+// FlickerAnalyzer.js
+const { EventEmitter } = require('events');
+
+const DEFAULT_FLICKER_ANALYSIS = {
+    windowMs: 2000,          // sliding window analysed per channel
+    intervalMs: 500,         // how often the window is analysed
+    minDepthPercent: 5,      // peak-to-peak swing needed, as % of the calibrated white-black range
+    minPeriodicity: 0.5,     // autocorrelation at the dominant period needed (0..1)
+    minCycles: 3,            // the window must hold at least this many periods
+    frequencyTolerance: 0.1  // a change in frequency beyond this fraction starts a new episode
+};
+
+function percentile(sorted, fraction) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+    return sorted[index];
+}
+
+// Resamples (time, value) pairs onto an even grid by linear interpolation
+function resample(times, values, step) {
+    const output = [];
+    let j = 0;
+    for (let t = times[0]; t <= times[times.length - 1]; t += step) {
+        while (j < times.length - 2 && times[j + 1] < t) j++;
+        const span = times[j + 1] - times[j];
+        const weight = span > 0 ? (t - times[j]) / span : 0;
+        output.push(values[j] + weight * (values[j + 1] - values[j]));
+    }
+    return output;
+}
+
+/**
+ * Finds periodic flicker in a window of samples using the autocorrelation of the
+ * mean-removed, evenly resampled signal. The dominant period is the highest
+ * autocorrelation peak after the first zero crossing; its height is the periodicity.
+ * Returns null when the window is too short or has no periodic component.
+ */
+function analyzeWindow(times, values, minCycles) {
+    if (times.length < 16) return null;
+
+    const intervals = [];
+    for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1]);
+    intervals.sort((a, b) => a - b);
+    const step = percentile(intervals, 0.5);
+    if (!(step > 0)) return null;
+
+    const signal = resample(times, values, step);
+    const mean = signal.reduce((a, b) => a + b, 0) / signal.length;
+    const centered = signal.map(value => value - mean);
+    const energy = centered.reduce((sum, value) => sum + value * value, 0);
+    if (energy === 0) return null;
+
+    const maxLag = Math.floor(centered.length / minCycles);
+    const correlation = [1];
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < centered.length; i++) {
+            sum += centered[i] * centered[i + lag];
+        }
+        correlation.push(sum / energy);
+    }
+
+    let lag = 1;
+    while (lag <= maxLag && correlation[lag] > 0) lag++;
+    let bestLag = null;
+    for (; lag < maxLag; lag++) {
+        const isPeak = correlation[lag] >= correlation[lag - 1] && correlation[lag] >= correlation[lag + 1];
+        if (isPeak && (bestLag === null || correlation[lag] > correlation[bestLag])) {
+            bestLag = lag;
+        }
+    }
+    if (bestLag === null) return null;
+
+    // Parabolic interpolation around the peak for a sub-sample period
+    const before = correlation[bestLag - 1];
+    const peak = correlation[bestLag];
+    const after = correlation[bestLag + 1];
+    const curvature = before - 2 * peak + after;
+    const offset = curvature !== 0 ? 0.5 * (before - after) / curvature : 0;
+    const periodMs = (bestLag + offset) * step;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const low = percentile(sorted, 0.05);
+    const high = percentile(sorted, 0.95);
+
+    return {
+        frequency: 1000 / periodMs,
+        periodMs,
+        periodicity: peak,
+        peakToPeak: high - low,
+        // Percent flicker as defined for light sources: (max - min) / (max + min)
+        modulationPercent: high + low > 0 ? (high - low) / (high + low) * 100 : 0,
+        sampleRate: 1000 / step
+    };
+}
+
+/**
+ * Sliding-window flicker analysis per channel. Samples go in through addSample();
+ * periodic flicker is reported as episodes, separate from individual blinks:
+ *   'flicker'    { channel, frequency, periodMs, modulationPercent, depthPercent, periodicity, startTime, start }
+ *   'flickerEnd' { ...the same fields, endTime, end, durationMs }
+ * range(channel) supplies the calibrated white-black range used for depthPercent.
+ */
+class FlickerAnalyzer extends EventEmitter {
+    constructor(options = {}, range = () => null) {
+        super();
+        this.settings = { ...DEFAULT_FLICKER_ANALYSIS, ...options };
+        this.range = range;
+        this.reset(0);
+    }
+
+    reset(channelCount) {
+        this.times = [];
+        this.samples = Array.from({ length: channelCount }, () => []);
+        this.episodes = new Array(channelCount).fill(null);
+        this.lastAnalysis = null;
+    }
+
+    addSample(values, time) {
+        if (this.samples.length !== values.length) {
+            this.reset(values.length);
+        }
+
+        this.times.push(time);
+        values.forEach((value, channel) => this.samples[channel].push(value));
+
+        const windowStart = time - this.settings.windowMs;
+        let expired = 0;
+        while (expired < this.times.length && this.times[expired] < windowStart) expired++;
+        if (expired > 0) {
+            this.times.splice(0, expired);
+            this.samples.forEach(channel => channel.splice(0, expired));
+        }
+
+        if (this.lastAnalysis === null) {
+            this.lastAnalysis = time;
+        } else if (time - this.lastAnalysis >= this.settings.intervalMs) {
+            this.lastAnalysis = time;
+            this.analyze(time);
+        }
+    }
+
+    analyze(time) {
+        // Wait for a full window so the first result is not based on a fragment
+        if (time - this.times[0] < this.settings.windowMs * 0.9) return;
+
+        for (let channel = 0; channel < this.samples.length; channel++) {
+            const result = analyzeWindow(this.times, this.samples[channel], this.settings.minCycles);
+            const range = this.range(channel);
+            const depthPercent = result && range ? result.peakToPeak / Math.abs(range) * 100 : null;
+            const periodic = result !== null &&
+                result.periodicity >= this.settings.minPeriodicity &&
+                (depthPercent === null || depthPercent >= this.settings.minDepthPercent);
+
+            const episode = this.episodes[channel];
+            if (!periodic) {
+                if (episode) this.endEpisode(channel, time);
+                continue;
+            }
+
+            const measurement = {
+                channel,
+                frequency: result.frequency,
+                periodMs: result.periodMs,
+                modulationPercent: result.modulationPercent,
+                depthPercent,
+                periodicity: result.periodicity,
+                sampleRate: result.sampleRate
+            };
+
+            if (episode && Math.abs(result.frequency - episode.frequency) > episode.frequency * this.settings.frequencyTolerance) {
+                this.endEpisode(channel, time);
+            }
+            if (!this.episodes[channel]) {
+                // The flicker was already present across the window that revealed it
+                const startTime = this.times[0];
+                this.episodes[channel] = { ...measurement, startTime, start: new Date(startTime).toISOString() };
+                this.emit('flicker', { ...this.episodes[channel] });
+            } else {
+                // Keep the strongest reading of the episode
+                const current = this.episodes[channel];
+                current.periodicity = Math.max(current.periodicity, measurement.periodicity);
+                current.modulationPercent = Math.max(current.modulationPercent, measurement.modulationPercent);
+                if (measurement.depthPercent !== null) {
+                    current.depthPercent = Math.max(current.depthPercent, measurement.depthPercent);
+                }
+            }
+        }
+    }
+
+    endEpisode(channel, endTime) {
+        const episode = this.episodes[channel];
+        this.episodes[channel] = null;
+        const event = {
+            ...episode,
+            endTime,
+            end: endTime !== null ? new Date(endTime).toISOString() : null,
+            durationMs: endTime !== null ? endTime - episode.startTime : null
+        };
+        this.emit('flickerEnd', event);
+        return event;
+    }
+
+    // Closes episodes that are still running, e.g. when the run ends
+    flush() {
+        const time = this.times.length > 0 ? this.times[this.times.length - 1] : null;
+        const events = [];
+        for (let channel = 0; channel < this.episodes.length; channel++) {
+            if (this.episodes[channel]) {
+                events.push(this.endEpisode(channel, time));
+            }
+        }
+        return events;
+    }
+}
+
+FlickerAnalyzer.DEFAULTS = DEFAULT_FLICKER_ANALYSIS;
+FlickerAnalyzer.analyzeWindow = analyzeWindow;
+
+module.exports = FlickerAnalyzer;
@@ -0,0 +1,71 @@
+// LatencyHistogram.js
+
+// Upper bounds (ms) of the histogram buckets; anything slower lands in the last, open bucket
+const BUCKET_BOUNDS_MS = [1, 2, 5, 10, 15, 20, 30, 50, 100, 200, 500, 1000];
+const RECENT_SAMPLES = 1024;
+
+function round(value) {
+    return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Histogram of command round-trip times. Bucket counts cover the whole session;
+ * percentiles are computed exactly from the most recent RECENT_SAMPLES values.
+ */
+class LatencyHistogram {
+    constructor(bounds = BUCKET_BOUNDS_MS) {
+        this.bounds = bounds;
+        this.counts = new Array(bounds.length + 1).fill(0);
+        this.count = 0;
+        this.sum = 0;
+        this.min = null;
+        this.max = null;
+        this.recent = [];
+        this.nextRecent = 0;
+    }
+
+    record(ms) {
+        let bucket = this.bounds.findIndex(bound => ms <= bound);
+        if (bucket < 0) bucket = this.bounds.length;
+        this.counts[bucket]++;
+        this.count++;
+        this.sum += ms;
+        this.min = this.min === null ? ms : Math.min(this.min, ms);
+        this.max = this.max === null ? ms : Math.max(this.max, ms);
+
+        if (this.recent.length < RECENT_SAMPLES) {
+            this.recent.push(ms);
+        } else {
+            this.recent[this.nextRecent] = ms;
+            this.nextRecent = (this.nextRecent + 1) % RECENT_SAMPLES;
+        }
+    }
+
+    // p in [0, 100]; null until something has been recorded
+    percentile(p) {
+        if (this.recent.length === 0) return null;
+        const sorted = [...this.recent].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1));
+        return sorted[index];
+    }
+
+    summary() {
+        return {
+            count: this.count,
+            minMs: round(this.min),
+            meanMs: round(this.count ? this.sum / this.count : null),
+            p50Ms: round(this.percentile(50)),
+            p90Ms: round(this.percentile(90)),
+            p99Ms: round(this.percentile(99)),
+            maxMs: round(this.max),
+            buckets: this.counts.map((count, i) => ({
+                upToMs: i < this.bounds.length ? this.bounds[i] : null,
+                count
+            }))
+        };
+    }
+}
+
+LatencyHistogram.BUCKET_BOUNDS_MS = BUCKET_BOUNDS_MS;
+
+module.exports = LatencyHistogram;
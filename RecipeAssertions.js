@@ -0,0 +1,196 @@
+// RecipeAssertions.js
+
+const ASSERTION_TYPES = ['expectNoBlink', 'expectBlink', 'maxBlinks'];
+const COUNT_UNITS = ['events', 'sensorBlinks'];
+
+function requireNonNegative(index, name, value, integer = false) {
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || (integer && !Number.isInteger(value)))) {
+        throw new Error(`Assertion ${index + 1}: ${name} must be a non-negative ${integer ? 'integer' : 'number'}, got ${value}`);
+    }
+}
+
+/**
+ * Checks recipe assertions against the blinks seen while the recipe runs. Each assertion
+ * belongs to a step (1-based) and covers a window relative to that step's start:
+ *   { step, type: 'expectNoBlink' }                  no blink while the step runs
+ *   { step, type: 'expectBlink', withinMs: 2000 }    at least one blink within 2 s of the step start
+ *   { step, type: 'maxBlinks', count: 1 }            at most one blink while the step runs
+ * fromMs / toMs override the window (default: from the step start until the next step starts).
+ * Windows end with the loop at the latest. Blinks are counted like RunRules counts them:
+ * by default one correlated event (by eventId, at its first onset) is one blink, however
+ * many sensors saw it; options.countBlinks: 'sensorBlinks' counts every sensor's blink.
+ *
+ * finishLoop() returns the loop's report:
+ *   { loop, result: 'PASS' | 'FAIL' | 'INCOMPLETE', start, end, assertions: [
+ *       { step, command, type, status: 'pass' | 'fail' | 'unverified' | 'notRun', blinks, window, message } ] }
+ * An assertion is 'unverified' when detection was not running for its whole window and
+ * the blinks seen cannot decide it, or when the loop ended before its window opened;
+ * it is 'notRun' when its step never started.
+ */
+class RecipeAssertions {
+    constructor(assertions = [], commands = [], options = {}) {
+        this.commands = commands;
+        this.assertions = RecipeAssertions.normalize(assertions, commands.length);
+        this.countBlinks = options.countBlinks || 'events';
+        if (!COUNT_UNITS.includes(this.countBlinks)) {
+            throw new Error(`countBlinks must be one of ${COUNT_UNITS.join(', ')}, got ${this.countBlinks}`);
+        }
+        this.detection = [];     // { start, end } periods in which blinks were being detected
+        this.eventIds = new Set();   // correlated events already counted in this detection period
+        this.resetLoop();
+    }
+
+    static normalize(assertions, stepCount) {
+        return (assertions || []).map((assertion, index) => {
+            if (!ASSERTION_TYPES.includes(assertion.type)) {
+                throw new Error(`Assertion ${index + 1}: unknown type '${assertion.type}' (expected ${ASSERTION_TYPES.join(', ')})`);
+            }
+            if (!Number.isInteger(assertion.step) || assertion.step < 1 || assertion.step > stepCount) {
+                throw new Error(`Assertion ${index + 1}: step must be between 1 and ${stepCount}, got ${assertion.step}`);
+            }
+            requireNonNegative(index, 'fromMs', assertion.fromMs);
+            requireNonNegative(index, 'toMs', assertion.toMs);
+            requireNonNegative(index, 'withinMs', assertion.withinMs);
+            requireNonNegative(index, 'count', assertion.count, true);
+            if (assertion.type === 'maxBlinks' && assertion.count === undefined) {
+                throw new Error(`Assertion ${index + 1}: maxBlinks needs a count`);
+            }
+
+            const normalized = { ...assertion, fromMs: assertion.fromMs || 0 };
+            // "expectBlink within N" is a window from the step start to N ms after it
+            if (assertion.type === 'expectBlink' && assertion.withinMs !== undefined && assertion.toMs === undefined) {
+                normalized.toMs = normalized.fromMs + assertion.withinMs;
+            }
+            if (normalized.toMs !== undefined && normalized.toMs <= normalized.fromMs) {
+                throw new Error(`Assertion ${index + 1}: toMs must be after fromMs`);
+            }
+            return normalized;
+        });
+    }
+
+    get hasAssertions() {
+        return this.assertions.length > 0;
+    }
+
+    resetLoop() {
+        this.loopStart = null;
+        this.stepStarts = new Map();   // step -> start time in the current loop
+        this.blinks = [];
+    }
+
+    stepStarted(step, time) {
+        if (this.loopStart === null) this.loopStart = time;
+        this.stepStarts.set(step, time);
+    }
+
+    // Blink onsets ('blink' events with phase 'start') from whichever test is running
+    recordBlink(event) {
+        const eventId = event.eventId !== undefined ? event.eventId : null;
+        if (this.countBlinks === 'events' && eventId !== null) {
+            // Later sensors of the same event are not counted again
+            if (this.eventIds.has(eventId)) return;
+            this.eventIds.add(eventId);
+        }
+        this.blinks.push({ sensor: event.sensor, eventId, onsetTime: event.onsetTime });
+    }
+
+    // Each test numbers its events from 1, so ids are only compared within one detection period
+    detectionStarted(time) {
+        this.detection.push({ start: time, end: null });
+        this.eventIds.clear();
+    }
+
+    detectionStopped(time) {
+        const period = this.detection[this.detection.length - 1];
+        if (period && period.end === null) period.end = time;
+    }
+
+    // True if blinks were being detected for the whole of [start, end]
+    covered(start, end) {
+        return this.detection.some(period => period.start <= start && (period.end === null || period.end >= end));
+    }
+
+    // Window of an assertion in this loop; a step ends when the next step that ran starts
+    windowFor(assertion, loopEnd) {
+        const stepStart = this.stepStarts.get(assertion.step);
+        const later = [...this.stepStarts.entries()]
+            .filter(([step, time]) => step > assertion.step && time >= stepStart)
+            .map(([, time]) => time);
+        const stepEnd = later.length > 0 ? Math.min(...later) : loopEnd;
+        const start = stepStart + assertion.fromMs;
+        const end = Math.min(assertion.toMs !== undefined ? stepStart + assertion.toMs : stepEnd, loopEnd);
+        return { start, end };
+    }
+
+    evaluate(assertion, loopEnd) {
+        const command = this.commands[assertion.step - 1];
+        const base = { step: assertion.step, command, type: assertion.type };
+        if (!this.stepStarts.has(assertion.step)) {
+            return { ...base, status: 'notRun', blinks: 0, window: null, message: `Step ${assertion.step} (${command}) did not run` };
+        }
+
+        const window = this.windowFor(assertion, loopEnd);
+        if (window.start >= loopEnd) {
+            return {
+                ...base,
+                status: 'unverified',
+                blinks: 0,
+                window: null,
+                message: `The loop ended before the window at +${assertion.fromMs} ms of step ${assertion.step} (${command}) opened`
+            };
+        }
+        const blinks = this.blinks.filter(blink => blink.onsetTime >= window.start && blink.onsetTime <= window.end).length;
+        const span = `${((window.end - window.start) / 1000).toFixed(1)} s window from +${assertion.fromMs} ms of step ${assertion.step} (${command})`;
+        let status;
+        let message;
+
+        switch (assertion.type) {
+            case 'expectNoBlink':
+                status = blinks === 0 ? 'pass' : 'fail';
+                message = blinks === 0 ? `No blinks in the ${span}` : `${blinks} blink(s) in the ${span}, none allowed`;
+                break;
+            case 'expectBlink':
+                status = blinks > 0 ? 'pass' : 'fail';
+                message = blinks > 0 ? `${blinks} blink(s) in the ${span}` : `No blink in the ${span}, one expected`;
+                break;
+            case 'maxBlinks':
+                status = blinks <= assertion.count ? 'pass' : 'fail';
+                message = `${blinks} blink(s) in the ${span}, at most ${assertion.count} allowed`;
+                break;
+        }
+
+        // With gaps in detection only the outcomes the blinks seen already prove can stand
+        const proven = assertion.type === 'expectBlink' ? status === 'pass' : status === 'fail';
+        if (!proven && !this.covered(window.start, window.end)) {
+            status = 'unverified';
+            message += ' (detection was not running for the whole window)';
+        }
+
+        return {
+            ...base,
+            status,
+            blinks,
+            window: { start: new Date(window.start).toISOString(), end: new Date(window.end).toISOString() },
+            message
+        };
+    }
+
+    finishLoop(loop, time) {
+        const assertions = this.assertions.map(assertion => this.evaluate(assertion, time));
+        const statuses = assertions.map(entry => entry.status);
+        const report = {
+            loop,
+            result: statuses.includes('fail') ? 'FAIL' : statuses.every(status => status === 'pass') ? 'PASS' : 'INCOMPLETE',
+            start: this.loopStart !== null ? new Date(this.loopStart).toISOString() : null,
+            end: new Date(time).toISOString(),
+            assertions
+        };
+        this.resetLoop();
+        return report;
+    }
+}
+
+RecipeAssertions.TYPES = ASSERTION_TYPES;
+RecipeAssertions.COUNT_UNITS = COUNT_UNITS;
+
+module.exports = RecipeAssertions;
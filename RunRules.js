@@ -0,0 +1,145 @@
+// RunRules.js
+
+const DEFAULT_RULES = {
+    maxDurationMs: null,      // end the run after this long (null: the test's testDuration)
+    stopAfterBlinks: null,    // end the run once this many blinks have recovered
+    failOnBlink: false,       // any blink fails the run
+    maxBlinksPerHour: null,   // fail if the blink rate over the run exceeds this
+    expectBlinks: null,       // pass only with exactly this many blinks
+    stopOnFail: false,        // end the run as soon as the verdict can only be FAIL
+    countBlinks: 'events'     // what counts as one blink: 'events' (correlated) or 'sensorBlinks'
+};
+
+const COUNT_UNITS = {
+    events: 'blink event(s)',
+    sensorBlinks: 'sensor blink(s)'
+};
+
+function requireCount(name, value) {
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Rule '${name}' must be a non-negative integer, got ${value}`);
+    }
+}
+
+function requirePositive(name, value) {
+    if (value !== null && !(typeof value === 'number' && value > 0)) {
+        throw new Error(`Rule '${name}' must be a positive number, got ${value}`);
+    }
+}
+
+function formatRate(value) {
+    return `${value.toFixed(1)}/h`;
+}
+
+/**
+ * Stop conditions and pass/fail rules for one detection run. By default a blink is one
+ * correlated event (see BlinkCorrelator), however many sensors saw it; countBlinks:
+ * 'sensorBlinks' counts every sensor's blink, like IntegratedBlinkTest.blinkCount.
+ * Rules are checked live by shouldStop() and once more by evaluate() when the run ends:
+ *   { result: 'PASS' | 'FAIL', reasons, checks, stopReason, durationMs, blinkCount, blinksPerHour, rules }
+ * reasons lists the failed checks (or the passed ones for PASS); checks holds
+ * { rule, passed, message } for every rule that is set.
+ */
+class RunRules {
+    constructor(rules = {}) {
+        this.rules = RunRules.normalize(rules);
+    }
+
+    static normalize(rules) {
+        for (const name of Object.keys(rules || {})) {
+            if (!(name in DEFAULT_RULES)) {
+                throw new Error(`Unknown run rule '${name}' (expected ${Object.keys(DEFAULT_RULES).join(', ')})`);
+            }
+        }
+        const normalized = { ...DEFAULT_RULES, ...rules };
+        requirePositive('maxDurationMs', normalized.maxDurationMs);
+        requireCount('stopAfterBlinks', normalized.stopAfterBlinks);
+        requirePositive('maxBlinksPerHour', normalized.maxBlinksPerHour);
+        requireCount('expectBlinks', normalized.expectBlinks);
+        if (!(normalized.countBlinks in COUNT_UNITS)) {
+            throw new Error(`Rule 'countBlinks' must be one of ${Object.keys(COUNT_UNITS).join(', ')}, got ${normalized.countBlinks}`);
+        }
+        normalized.failOnBlink = Boolean(normalized.failOnBlink);
+        normalized.stopOnFail = Boolean(normalized.stopOnFail);
+        return normalized;
+    }
+
+    // Duration limit for the run; the rule wins over the test's own setting
+    durationFor(testDuration) {
+        return this.rules.maxDurationMs !== null ? this.rules.maxDurationMs : testDuration;
+    }
+
+    // Number of blinks in the unit the rules count, e.g. "3 blink event(s)"
+    describeCount(count) {
+        return `${count} ${COUNT_UNITS[this.rules.countBlinks]}`;
+    }
+
+    // Failures that can no longer be undone by the rest of the run
+    decidedFailures(blinkCount) {
+        const failures = [];
+        if (this.rules.failOnBlink && blinkCount > 0) {
+            failures.push(`${this.describeCount(blinkCount)} detected, none allowed`);
+        }
+        if (this.rules.expectBlinks !== null && blinkCount > this.rules.expectBlinks) {
+            failures.push(`${this.describeCount(blinkCount)} detected, expected exactly ${this.rules.expectBlinks}`);
+        }
+        return failures;
+    }
+
+    // Reason to end the run now ('blinkLimit' or 'failure'), or null
+    shouldStop(blinkCount) {
+        if (this.rules.stopAfterBlinks !== null && blinkCount >= this.rules.stopAfterBlinks) {
+            return 'blinkLimit';
+        }
+        if (this.rules.stopOnFail && this.decidedFailures(blinkCount).length > 0) {
+            return 'failure';
+        }
+        return null;
+    }
+
+    evaluate({ blinkCount, durationMs, stopReason, error = null }) {
+        const rules = this.rules;
+        const blinksPerHour = durationMs > 0 ? blinkCount / (durationMs / 3600000) : 0;
+        const checks = [];
+        const check = (rule, passed, message) => checks.push({ rule, passed, message });
+
+        if (error) {
+            check('error', false, `Run aborted: ${error}`);
+        }
+        if (rules.failOnBlink) {
+            check('failOnBlink', blinkCount === 0,
+                blinkCount === 0 ? 'No blinks detected' : `${this.describeCount(blinkCount)} detected, none allowed`);
+        }
+        if (rules.expectBlinks !== null) {
+            check('expectBlinks', blinkCount === rules.expectBlinks,
+                `${this.describeCount(blinkCount)} detected, expected exactly ${rules.expectBlinks}`);
+        }
+        if (rules.maxBlinksPerHour !== null) {
+            const passed = blinksPerHour <= rules.maxBlinksPerHour;
+            check('maxBlinksPerHour', passed,
+                `Blink rate ${formatRate(blinksPerHour)} ${passed ? 'within' : 'exceeds'} the limit of ${formatRate(rules.maxBlinksPerHour)}`);
+        }
+        if (rules.stopAfterBlinks !== null) {
+            // Stopping early is not a failure; it only reports whether the limit was reached
+            check('stopAfterBlinks', true, stopReason === 'blinkLimit'
+                ? `Stopped after ${this.describeCount(blinkCount)}`
+                : `Blink limit of ${rules.stopAfterBlinks} not reached (${this.describeCount(blinkCount)})`);
+        }
+
+        const failed = checks.filter(entry => !entry.passed);
+        return {
+            result: failed.length > 0 ? 'FAIL' : 'PASS',
+            reasons: (failed.length > 0 ? failed : checks).map(entry => entry.message),
+            checks,
+            stopReason,
+            durationMs,
+            blinkCount,
+            blinksPerHour,
+            rules
+        };
+    }
+}
+
+RunRules.DEFAULTS = DEFAULT_RULES;
+
+module.exports = RunRules;
@@ -0,0 +1,172 @@
+// SampleLogWriter.js
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const util = require('util');
+const pipeline = util.promisify(require('stream').pipeline);
+
+const DEFAULT_SAMPLE_LOG = {
+    maxBytes: 50 * 1024 * 1024,   // start a new part once the current one reaches this size
+    maxAgeMs: 60 * 60 * 1000,     // ... or once it has been open this long
+    gzip: false,                  // compress parts as they are rotated out
+    flushIntervalMs: 1000,        // buffered lines are written at least this often
+    flushBytes: 64 * 1024         // ... or as soon as this much is buffered
+};
+
+const SAMPLE_PART = /^(samples_.+)_(\d{3})\.csv(\.gz)?$/;
+
+// All parts of the session the given file belongs to, in recording order
+function sessionParts(samplesFile) {
+    const match = path.basename(samplesFile).match(SAMPLE_PART);
+    if (!match) return { base: path.basename(samplesFile, '.csv'), files: [samplesFile] };
+
+    const directory = path.dirname(samplesFile);
+    const files = fs.readdirSync(directory)
+        .map(name => ({ name, match: name.match(SAMPLE_PART) }))
+        .filter(entry => entry.match && entry.match[1] === match[1])
+        .sort((a, b) => parseInt(a.match[2], 10) - parseInt(b.match[2], 10))
+        .map(entry => path.join(directory, entry.name));
+    return { base: match[1], files };
+}
+
+// Yields { time, values } for each reading; values are the raw readings
+async function* readSamples(file) {
+    const stream = file.endsWith('.gz')
+        ? fs.createReadStream(file).pipe(zlib.createGunzip())
+        : fs.createReadStream(file);
+    const input = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let timeColumn = null;
+    let rawColumns = null;
+
+    for await (const line of input) {
+        if (!line.trim()) continue;
+        const fields = line.split(',');
+        if (rawColumns === null) {
+            const columns = {};
+            fields.forEach((name, index) => { columns[name.trim()] = index; });
+            timeColumn = columns.Time;
+            // Current logs name raw columns S<n>Raw; early recordings used plain S<n>
+            rawColumns = fields.filter(name => /^S\d+Raw$/.test(name)).map(name => columns[name]);
+            if (rawColumns.length === 0) {
+                rawColumns = fields.filter(name => /^S\d+$/.test(name)).map(name => columns[name]);
+            }
+            if (timeColumn === undefined || rawColumns.length === 0) {
+                throw new Error(`${file} is not a raw-sample log (expected Time and S<n>Raw columns)`);
+            }
+            continue;
+        }
+        yield { time: parseFloat(fields[timeColumn]), values: rawColumns.map(column => parseFloat(fields[column])) };
+    }
+}
+
+/**
+ * Buffered, asynchronous CSV writer for high-rate logs. Lines are collected in memory
+ * and appended in chunks, so the acquisition loop never waits on the disk.
+ * Output is split into parts <baseName>_001.csv, _002.csv, ... rotated by size or age;
+ * every part starts with the header so it can be opened on its own. With gzip: true,
+ * rotated parts are replaced by <part>.csv.gz. Emits 'rotated' { file, part } and 'error'.
+ */
+class SampleLogWriter extends EventEmitter {
+    constructor(directory, baseName, header, options = {}) {
+        super();
+        this.directory = directory;
+        this.baseName = baseName;
+        this.header = header;
+        this.settings = { ...DEFAULT_SAMPLE_LOG, ...options };
+        this.buffer = [];
+        this.bufferBytes = 0;
+        this.part = 0;
+        this.currentFile = null;
+        this.currentBytes = 0;
+        this.openedAt = null;
+        this.files = [];
+        this.lines = 0;
+        this.writing = Promise.resolve();
+        this.closed = false;
+
+        this.timer = setInterval(() => this.flush(), this.settings.flushIntervalMs);
+        this.timer.unref();
+    }
+
+    partPath(part) {
+        return path.join(this.directory, `${this.baseName}_${String(part).padStart(3, '0')}.csv`);
+    }
+
+    write(line) {
+        if (this.closed) return;
+        this.buffer.push(line);
+        this.bufferBytes += line.length + 1;
+        this.lines++;
+        if (this.bufferBytes >= this.settings.flushBytes) {
+            this.flush();
+        }
+    }
+
+    // Queues the buffered lines for writing; chunks are written strictly in order
+    flush() {
+        if (this.buffer.length === 0) return this.writing;
+
+        const chunk = this.buffer.join('\n') + '\n';
+        this.buffer = [];
+        this.bufferBytes = 0;
+        this.writing = this.writing
+            .then(() => this.writeChunk(chunk))
+            .catch(error => this.emit('error', error));
+        return this.writing;
+    }
+
+    async writeChunk(chunk) {
+        const now = Date.now();
+        const due = this.currentFile !== null && (
+            this.currentBytes >= this.settings.maxBytes ||
+            now - this.openedAt >= this.settings.maxAgeMs
+        );
+        if (this.currentFile === null || due) {
+            await this.rotate(now);
+        }
+
+        await fs.promises.appendFile(this.currentFile, chunk);
+        this.currentBytes += Buffer.byteLength(chunk);
+    }
+
+    async rotate(now) {
+        const finished = this.currentFile;
+        this.part++;
+        this.currentFile = this.partPath(this.part);
+        this.openedAt = now;
+        const header = this.header + '\n';
+        await fs.promises.writeFile(this.currentFile, header);
+        this.currentBytes = Buffer.byteLength(header);
+        this.files.push(this.currentFile);
+
+        if (finished) {
+            const file = this.settings.gzip ? await this.compress(finished) : finished;
+            this.emit('rotated', { file, part: this.part - 1 });
+        }
+    }
+
+    async compress(file) {
+        const target = `${file}.gz`;
+        await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(target));
+        await fs.promises.unlink(file);
+        this.files[this.files.indexOf(file)] = target;
+        return target;
+    }
+
+    // Writes everything still buffered; the last part is left uncompressed
+    async close() {
+        if (this.closed) return this.files;
+        this.closed = true;
+        clearInterval(this.timer);
+        await this.flush();
+        return this.files;
+    }
+}
+
+SampleLogWriter.DEFAULTS = DEFAULT_SAMPLE_LOG;
+SampleLogWriter.sessionParts = sessionParts;
+SampleLogWriter.readSamples = readSamples;
+
+module.exports = SampleLogWriter;
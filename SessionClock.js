@@ -0,0 +1,37 @@
+// SessionClock.js
+const { performance } = require('perf_hooks');
+
+/**
+ * Monotonic, sub-millisecond clock expressed as ms since the epoch. It is tied to the
+ * wall clock once, when anchored, and from then on only advances with performance.now(),
+ * so NTP corrections or manual clock changes during a session cannot make sample times
+ * jump or run backwards.
+ */
+class SessionClock {
+    constructor() {
+        this.anchor();
+    }
+
+    anchor() {
+        this.wallAnchor = Date.now();
+        this.monotonicAnchor = performance.now();
+    }
+
+    now() {
+        return this.wallAnchor + (performance.now() - this.monotonicAnchor);
+    }
+
+    // How far the wall clock has moved away from this clock since it was anchored
+    wallOffset() {
+        return Date.now() - this.now();
+    }
+
+    describe() {
+        return {
+            anchoredAt: new Date(this.wallAnchor).toISOString(),
+            wallOffsetMs: Math.round(this.wallOffset() * 1000) / 1000
+        };
+    }
+}
+
+module.exports = SessionClock;
@@ -0,0 +1,89 @@
+// TestSession.js
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * One test run: a session ID, a folder every writer puts its output in, and a
+ * manifest.json describing the run and listing its artifacts. Paths inside the
+ * session folder are stored relative to it; anything outside is stored absolute.
+ */
+class TestSession {
+    constructor(options = {}) {
+        this.root = options.root || path.join(os.homedir(), 'BlinkSessions');
+        this.id = null;
+        this.directory = null;
+        this.manifest = {
+            version: MANIFEST_VERSION,
+            sessionId: null,
+            startedAt: null,
+            stoppedAt: null,
+            status: 'created',
+            recipe: options.recipe || null,
+            artifacts: []
+        };
+    }
+
+    // Creates the session folder; IDs sort by start time, the suffix keeps parallel rigs apart
+    start() {
+        const now = new Date();
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        this.id = `${stamp}_${crypto.randomBytes(3).toString('hex')}`;
+        this.directory = path.join(this.root, this.id);
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        this.manifest.sessionId = this.id;
+        this.manifest.startedAt = now.toISOString();
+        this.manifest.status = 'running';
+        this.write();
+        return this.directory;
+    }
+
+    // Path for an artifact inside the session folder; subfolders are created on demand
+    pathFor(...parts) {
+        const target = path.join(this.directory, ...parts);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        return target;
+    }
+
+    relative(filePath) {
+        const relative = path.relative(this.directory, filePath);
+        return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+    }
+
+    addArtifact(type, filePath, details = {}) {
+        const entry = { type, path: this.relative(filePath), ...details };
+        const existing = this.manifest.artifacts.findIndex(artifact => artifact.path === entry.path);
+        if (existing >= 0) {
+            this.manifest.artifacts[existing] = entry;
+        } else {
+            this.manifest.artifacts.push(entry);
+        }
+    }
+
+    set(key, value) {
+        this.manifest[key] = value;
+    }
+
+    finish(status = 'completed') {
+        this.manifest.stoppedAt = new Date().toISOString();
+        this.manifest.status = status;
+        this.write();
+    }
+
+    // Written through a temporary file so a crash never leaves a half-written manifest
+    write() {
+        if (!this.directory) return;
+        const manifestPath = path.join(this.directory, 'manifest.json');
+        const temporary = `${manifestPath}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.manifest, null, 2));
+        fs.renameSync(temporary, manifestPath);
+    }
+}
+
+TestSession.MANIFEST_VERSION = MANIFEST_VERSION;
+
+module.exports = TestSession;
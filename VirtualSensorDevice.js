@@ -0,0 +1,316 @@
+// VirtualSensorDevice.js
+const { EventEmitter } = require('events');
+
+const DEFAULT_WHITE = 4.5;
+const DEFAULT_BLACK = 0.2;
+const MAX_LEVEL = 5.0;
+
+// Scripted light patterns for common test situations
+const presets = {
+    white: [{ type: 'white' }],
+    black: [{ type: 'black' }],
+    blinks: [
+        { type: 'white', duration: 2000 },
+        { type: 'blink', duration: 10000, period: 2000, width: 150 }
+    ],
+    noise: [{ type: 'noise', amplitude: 0.5 }],
+    cycling: [{ type: 'blink', period: 1000, width: 500 }],
+    dropouts: [
+        { type: 'blink', duration: 5000, period: 1000, width: 100 },
+        { type: 'dropout', duration: 1000 }
+    ]
+};
+
+// Small seeded PRNG (mulberry32) so scripted runs are reproducible
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Stand-in for the sensor board that speaks the same line protocol:
+ * 's' answers with "v1, v2", 'b'/'m' switch the magnet and 'c'/'d' the AC relay,
+ * 'r<rate>' starts streaming "D,seq,micros,v1,v2" lines and 'x' stops it, 'i' identifies the firmware.
+ * Every command except 's' and 'i' is answered with "ACK <command>" unless acknowledge is false.
+ * With legacy: true it behaves like old firmware: no 'i', no streaming and no acknowledgements.
+ * Exposes the subset of the SerialPort API used by DeviceSerialPort.
+ */
+class VirtualSensorDevice extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.path = options.path || 'VIRTUAL';
+        this.serialNumber = options.serialNumber || 'VIRTUAL-0001';
+        this.channels = options.channels || 2;
+        this.white = options.white !== undefined ? options.white : DEFAULT_WHITE;
+        this.black = options.black !== undefined ? options.black : DEFAULT_BLACK;
+        this.noise = options.noise || 0;
+        this.latency = options.latency !== undefined ? options.latency : 2;
+        this.loop = options.loop !== false;
+        this.legacy = options.legacy === true;
+        this.acknowledge = options.acknowledge !== undefined ? options.acknowledge : !this.legacy;
+        this.firmwareVersion = options.firmwareVersion || '1.2.0';
+        this.maxSampleRate = options.maxSampleRate || 1000;
+        this.script = this.resolveScript(options.script || 'white');
+        this.random = createRandom(options.seed !== undefined ? options.seed : 1);
+        this.outputs = { magnet: false, ac: false };
+        this.isOpen = false;
+        this.isPlugged = true;
+        this.startTime = null;
+        this.inputBuffer = '';
+        this.pendingReplies = new Set();
+        this.stream = null;
+    }
+
+    static createTransport(options = {}) {
+        const device = new VirtualSensorDevice(options);
+        return {
+            defaultPath: device.path,
+            device,
+            list: async () => device.isPlugged ? [device.describe()] : [],
+            create: () => device
+        };
+    }
+
+    describe() {
+        return {
+            path: this.path,
+            manufacturer: 'Virtual',
+            serialNumber: this.serialNumber,
+            vendorId: '0000',
+            productId: '0000'
+        };
+    }
+
+    resolveScript(script) {
+        if (typeof script === 'string') {
+            if (!presets[script]) {
+                throw new Error(`Unknown virtual device pattern: ${script}`);
+            }
+            return presets[script];
+        }
+        return script;
+    }
+
+    setScript(script) {
+        this.script = this.resolveScript(script);
+        this.startTime = Date.now();
+    }
+
+    // Simulates pulling the USB cable: the port closes and the device leaves the port list
+    unplug() {
+        this.isPlugged = false;
+        if (this.isOpen) {
+            this.close();
+        }
+    }
+
+    replug() {
+        this.isPlugged = true;
+    }
+
+    open(callback) {
+        if (!this.isPlugged) {
+            process.nextTick(callback, new Error(`Opening ${this.path}: File not found`));
+            return;
+        }
+        if (this.isOpen) {
+            process.nextTick(callback, new Error('Port is already open'));
+            return;
+        }
+        this.isOpen = true;
+        if (this.startTime === null) {
+            this.startTime = Date.now();
+        }
+        process.nextTick(() => {
+            callback(null);
+            this.emit('open');
+        });
+    }
+
+    close(callback) {
+        this.isOpen = false;
+        this.inputBuffer = '';
+        this.stopStream();
+        for (const timer of this.pendingReplies) {
+            clearTimeout(timer);
+        }
+        this.pendingReplies.clear();
+        process.nextTick(() => {
+            if (callback) callback(null);
+            this.emit('close');
+        });
+    }
+
+    write(data, callback) {
+        if (!this.isOpen) {
+            if (callback) process.nextTick(callback, new Error('Port is not open'));
+            return false;
+        }
+
+        this.inputBuffer += data.toString();
+        const commands = this.inputBuffer.split('\n');
+        this.inputBuffer = commands.pop();
+
+        for (const command of commands) {
+            this.handleCommand(command.trim());
+        }
+
+        if (callback) process.nextTick(callback, null);
+        return true;
+    }
+
+    handleCommand(command) {
+        switch (command) {
+            case 's': {
+                const levels = this.sample();
+                if (levels) {
+                    this.reply(levels.map(level => level.toFixed(2)).join(', '));
+                }
+                break;
+            }
+            case 'b': this.outputs.magnet = true; break;
+            case 'm': this.outputs.magnet = false; break;
+            case 'c': this.outputs.ac = true; break;
+            case 'd': this.outputs.ac = false; break;
+            case 'x':
+                if (this.legacy) return;
+                this.stopStream();
+                break;
+            case 'i':
+                if (!this.legacy) {
+                    this.reply(`ID name=VirtualSensor fw=${this.firmwareVersion} ch=${this.channels} ` +
+                        `cmds=s,b,m,c,d,r,x,i maxrate=${this.maxSampleRate}`);
+                }
+                return;
+            default:
+                if (!this.legacy && /^r\d+$/.test(command)) {
+                    this.startStream(parseInt(command.slice(1), 10));
+                    break;
+                }
+                // Firmware silently ignores unknown commands
+                return;
+        }
+
+        if (command !== 's' && this.acknowledge) {
+            this.reply(`ACK ${command}`);
+        }
+    }
+
+    reply(line) {
+        const timer = setTimeout(() => {
+            this.pendingReplies.delete(timer);
+            if (this.isOpen) {
+                this.emit('data', Buffer.from(line + '\r\n'));
+            }
+        }, this.latency);
+        this.pendingReplies.add(timer);
+    }
+
+    startStream(rate) {
+        this.stopStream();
+        if (!rate) return;
+        rate = Math.min(rate, this.maxSampleRate);
+
+        const startedAt = Date.now() - this.startTime;
+        this.stream = { rate, startedAt, seq: 0 };
+
+        // Timers cannot fire at kHz rates, so emit whatever samples are due on each tick
+        this.stream.timer = setInterval(() => {
+            const elapsed = Date.now() - this.startTime;
+            const due = Math.floor((elapsed - startedAt) * rate / 1000);
+            const lines = [];
+
+            while (this.stream.seq < due) {
+                const seq = this.stream.seq++;
+                const sampleTime = startedAt + seq * 1000 / rate;
+                const levels = this.sample(sampleTime);
+                if (levels) {
+                    const values = levels.map(level => level.toFixed(2)).join(',');
+                    lines.push(`D,${seq},${Math.round(sampleTime * 1000)},${values}`);
+                }
+            }
+
+            if (lines.length > 0 && this.isOpen) {
+                this.emit('data', Buffer.from(lines.join('\r\n') + '\r\n'));
+            }
+        }, Math.max(1000 / rate, 10));
+    }
+
+    stopStream() {
+        if (this.stream) {
+            clearInterval(this.stream.timer);
+            this.stream = null;
+        }
+    }
+
+    currentSegment(elapsed) {
+        const total = this.script.reduce((sum, segment) => sum + (segment.duration || Infinity), 0);
+        let offset = this.loop && Number.isFinite(total) ? elapsed % total : elapsed;
+
+        for (const segment of this.script) {
+            const duration = segment.duration || Infinity;
+            if (offset < duration) {
+                return { segment, offset };
+            }
+            offset -= duration;
+        }
+
+        const last = this.script[this.script.length - 1];
+        return { segment: last, offset };
+    }
+
+    // Returns one level per channel, or null while the device is dropping out
+    sample(elapsed = Date.now() - this.startTime) {
+        const { segment, offset } = this.currentSegment(elapsed);
+        const white = segment.white !== undefined ? segment.white : this.white;
+        const black = segment.black !== undefined ? segment.black : this.black;
+        let level;
+
+        switch (segment.type) {
+            case 'white':
+                level = segment.level !== undefined ? segment.level : white;
+                break;
+            case 'black':
+                level = segment.level !== undefined ? segment.level : black;
+                break;
+            case 'blink': {
+                const period = segment.period || 1000;
+                const width = segment.width || 100;
+                level = (offset % period) >= period - width ? black : white;
+                break;
+            }
+            case 'noise':
+                level = white + this.gaussian() * (segment.amplitude || 0.5);
+                break;
+            case 'dropout':
+                return null;
+            default:
+                throw new Error(`Unknown virtual device segment type: ${segment.type}`);
+        }
+
+        const levels = [];
+        for (let i = 0; i < this.channels; i++) {
+            const affected = !segment.channels || segment.channels.includes(i);
+            const value = (affected ? level : white) + this.gaussian() * this.noise;
+            levels.push(Math.min(MAX_LEVEL, Math.max(0, value)));
+        }
+        return levels;
+    }
+
+    gaussian() {
+        // Box-Muller transform on the seeded generator
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
+
+VirtualSensorDevice.presets = presets;
+
+module.exports = VirtualSensorDevice;
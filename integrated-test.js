@@ -1,23 +1,214 @@
 const CalibratedFlickerDetector = require('./CalibratedFlickerDetector');
 const BlinkCameraController = require('./BlinkCameraController');
+const DeviceWatcher = require('./DeviceWatcher');
+const BlinkCorrelator = require('./BlinkCorrelator');
+const SampleLogWriter = require('./SampleLogWriter');
+const TestSession = require('./TestSession');
+const RunRules = require('./RunRules');
+const SessionClock = require('./SessionClock');
+const generateReport = require('./report');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const { EventEmitter } = require('events');
+const { performance } = require('perf_hooks');
 
-class IntegratedBlinkTest {
-    constructor() {
-        this.flickerDetector = new CalibratedFlickerDetector();
-        this.cameraController = new BlinkCameraController();
+const BLINK_CSV_HEADER = 'Timestamp,Sensor,Value,Recovery,DurationMs,MinLevelPercent,RawValue,EventId,' +
+    'RecipeLoop,RecipeStep,RecipeCommand,RecipeParam,StepElapsedMs';
+
+// One row per blink: onset time, sensor, darkest filtered reading, then recovery, duration,
+// depth, the darkest raw reading, the correlated event it belongs to and the recipe step at onset
+function formatBlinkRow(event, eventId, recipeStep = null) {
+    const step = recipeStep || {};
+    return [
+        event.onset,
+        event.channel + 1,
+        event.minValue,
+        event.recovery || '',
+        event.durationMs !== null ? Math.round(event.durationMs) : '',
+        event.minLevelPercent !== null ? event.minLevelPercent.toFixed(1) : '',
+        event.minRawValue,
+        eventId || '',
+        step.loop || '',
+        step.step || '',
+        step.command || '',
+        step.param || '',
+        step.elapsedMs !== undefined ? Math.round(step.elapsedMs) : ''
+    ].join(',');
+}
+
+/**
+ * One detection run: detector, camera, device watcher and the session's log files.
+ * Everything that happens is emitted as a typed event, so the UI, loggers and reports
+ * can subscribe instead of parsing log lines. Channels are 0-based, sensors 1-based.
+ *
+ *   'reading'      { time, raw, filtered, level, dark } for every sample
+ *   'blink'        { phase: 'start', channel, sensor, number, eventId, onset, onsetTime, value, recipeStep } at onset;
+ *                  { phase: 'end', channel, sensor, eventId, recipeStep, ...detector blink } on recovery
+ *                  recipeStep is { loop, step, command, param, elapsedMs } at onset, or null
+ *   'calibration'  { reason: 'initial' | 'drift' | 'recalibrationNeeded', whiteValue, blackValue,
+ *                    threshold, methods, quality, profile, channel?, driftPercent? }
+ *   'deviceError'  { source: 'initialize' | 'read' | 'stream' | 'disconnected', message, time, ... }
+ *   'recovered'    { path, gapMs, start, end, reason }
+ *   'segmentSaved' { video, events, blinks, sensors }
+ *   'assertionReport' one recipe loop's assertion results (see RecipeAssertions)
+ *   'sessionEnd'   { sessionId, directory, status, error, startedAt, stoppedAt, blinkCount,
+ *                    perSensor, correlated, flickerEpisodes, connectionGaps, verdict, manifest, report }
+ */
+class IntegratedBlinkTest extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // Monotonic clock tied to wall time once for the whole session; the serial port stamps
+        // every received line with it, so sample and blink times never follow wall clock jumps
+        this.clock = options.clock || new SessionClock();
+        this.flickerDetector = new CalibratedFlickerDetector({ ...options, clock: this.clock });
+        // camera: false runs detection only (no FFmpeg/camera needed)
+        this.cameraController = options.camera === false ? null : new BlinkCameraController();
+        if (this.cameraController) {
+            this.cameraController.on('segmentSaved', (segment) => this.handleSegmentSaved(segment));
+        }
+        // Every writer puts its output in this run's session folder (see TestSession)
+        this.session = new TestSession({ root: options.sessionRoot, recipe: options.recipe });
         this.isRunning = false;
-        this.testDuration = 90000;
+        this.testDuration = options.testDuration || 90000;
+        // Stop conditions and PASS/FAIL rules (see RunRules); startTest resolves with the verdict
+        this.rules = new RunRules(options.rules);
+        this.stopReason = null;
+        this.verdict = null;
+        this.testRun = null;
+        // 'poll' sends 's' per sample (any firmware), 'stream' lets the firmware push samples
+        this.acquisitionMode = options.acquisitionMode || 'poll';
+        this.sampleRate = options.sampleRate || 500;
+        // true or { maxBytes, maxAgeMs, gzip, flushIntervalMs } writes every reading to
+        // samples_<timestamp>_NNN.csv, for waveform inspection and offline replay
+        this.recordSamples = Boolean(options.recordSamples);
+        this.sampleLogOptions = typeof options.recordSamples === 'object' ? options.recordSamples : {};
+        this.sampleLog = null;
+        this.sampleFile = null;
+        // Writes report.html into the session folder at cleanup; report: false skips it
+        this.writeReport = options.report !== false;
         this.blinkCount = 0;
-        this.logDir = path.join(os.homedir(), 'BlinkLogs');
+        this.sensorBlinkCounts = [];   // per channel; the detector only emits blinks
+        this.deviceClockOffset = null;
+        this.lastDeviceTime = null;
+        this.flickerDetector.on('blink', (event) => this.handleBlinkEvent(event));
+        this.flickerDetector.on('drift', (event) => this.handleDrift(event));
+        this.flickerDetector.on('recalibrationNeeded', (event) => this.handleRecalibrationNeeded(event));
+        this.flickerDetector.on('flicker', (event) => this.handleFlicker(event));
+        this.flickerDetector.on('flickerEnd', (event) => this.handleFlickerEnd(event));
+        this.flickerDetector.on('sample', (sample) => this.emit('reading', sample));
+        this.flickerEpisodes = 0;
+        // Groups blinks that start within correlation.windowMs into global / partial events
+        this.correlator = new BlinkCorrelator(this.flickerDetector, options.correlation);
+        this.correlator.on('correlatedBlink', (event) => this.handleCorrelatedBlink(event));
+        // Registered after the correlator, so a blink's event id is already known at onset
+        // ('blink' is registered before it, so the id is still known at recovery)
+        this.flickerDetector.on('blinkStart', (event) => this.handleBlinkStart(event));
+        this.deviceWatcher = new DeviceWatcher(this.flickerDetector.device, options.watcher);
+        this.connectionGaps = [];
+        this.logDir = null;
         this.currentLogFile = null;
-        
-        // Create logs directory if it doesn't exist
-        if (!fs.existsSync(this.logDir)) {
-            fs.mkdirSync(this.logDir, { recursive: true });
+        this.reportPath = null;
+        // Recipe step being executed (see setRecipeStep), and the step each running blink started in
+        this.recipeStep = null;
+        this.blinkSteps = [];
+        this.assertionReports = [];
+    }
+
+    // Called by the recipe runner as each step starts: { loop, step, command, param, startTime };
+    // null once the recipe is over. A step stays current until the next one starts.
+    setRecipeStep(step) {
+        this.recipeStep = step ? { ...step } : null;
+    }
+
+    // Keeps a recipe loop's assertion report with the session (manifest and report)
+    recordAssertionReport(report) {
+        this.assertionReports.push(report);
+        this.session.set('assertions', this.assertionReports);
+        this.session.write();
+        this.log(`Recipe loop ${report.loop} assertions: ${report.result}`);
+        for (const entry of report.assertions) {
+            this.log(`  [${entry.status.toUpperCase()}] ${entry.type}: ${entry.message}`);
         }
+        this.emit('assertionReport', report);
+    }
+
+    // Recipe context for something that happened at `time`, or null outside a recipe
+    recipeStepAt(time) {
+        const step = this.recipeStep;
+        if (!step) return null;
+        return {
+            loop: step.loop,
+            step: step.step,
+            command: step.command,
+            param: step.param,
+            elapsedMs: Math.max(0, time - step.startTime)
+        };
+    }
+
+    // Adds a file to the session manifest and saves it
+    recordArtifact(type, filePath, details = {}) {
+        this.session.addArtifact(type, filePath, details);
+        this.session.write();
+    }
+
+    // Fills in everything the manifest reports about the run so far
+    updateManifest() {
+        const detector = this.flickerDetector;
+        const device = detector.device;
+        const profile = detector.calibrationProfile;
+
+        this.session.set('port', device.portPath ? { path: device.portPath, info: device.portInfo } : this.session.manifest.port);
+        this.session.set('firmware', device.capabilities || this.session.manifest.firmware);
+        this.session.set('calibration', {
+            profile: profile ? profile.path : null,
+            profileCreatedAt: profile ? profile.createdAt : null,
+            // As calibrated, before any drift adaptation
+            whiteValue: detector.calibratedWhite,
+            blackValue: detector.blackValue,
+            threshold: detector.calibratedThreshold
+        });
+        this.session.set('settings', {
+            acquisitionMode: this.acquisitionMode,
+            sampleRate: this.sampleRate,
+            testDuration: this.testDuration,
+            rules: this.rules.rules,
+            detection: detector.detection,
+            filters: detector.filterChain.config
+        });
+        this.session.set('camera', this.cameraController ? this.cameraController.describeSettings() : null);
+        this.session.set('blinkCounts', {
+            total: this.blinkCount,
+            perSensor: this.perSensorBlinkCounts(),
+            correlated: { ...this.correlator.counts },
+            flickerEpisodes: this.flickerEpisodes
+        });
+        this.session.set('connectionGaps', this.connectionGaps);
+        this.session.set('timing', {
+            clock: this.clock.describe(),
+            serialLatency: device.describeLatency(),
+            oneWayLatencyMs: device.oneWayLatency()
+        });
+    }
+
+    // Calibration currently in use, as carried by 'calibration' events
+    describeCalibration(reason, details = {}) {
+        const detector = this.flickerDetector;
+        return {
+            reason,
+            ...details,
+            whiteValue: [...detector.whiteValue],
+            blackValue: [...detector.blackValue],
+            threshold: [...detector.threshold],
+            methods: detector.calibrationStats.map(stats => stats.method || null),
+            quality: detector.calibrationStats.map(stats => stats.quality || null),
+            profile: detector.calibrationProfile ? detector.calibrationProfile.path : null
+        };
+    }
+
+    // Emits 'deviceError' and logs it
+    reportDeviceError(source, message, details = {}) {
+        this.log(message);
+        this.emit('deviceError', { source, message, time: new Date().toISOString(), ...details });
     }
 
     log(message) {
@@ -30,23 +221,176 @@ class IntegratedBlinkTest {
         this.currentLogFile = path.join(this.logDir, `blink_log_${timestamp}.csv`);
         
         // Create CSV header
-        fs.writeFileSync(this.currentLogFile, 'Timestamp,Sensor,Value\n');
+        fs.writeFileSync(this.currentLogFile, BLINK_CSV_HEADER + '\n');
         
         this.log(`Logging blinks to: ${this.currentLogFile}`);
+        this.session.addArtifact('blinkLog', this.currentLogFile);
+        this.eventLogFile = path.join(this.logDir, `event_log_${timestamp}.csv`);
+        fs.writeFileSync(this.eventLogFile, 'Timestamp,EventId,Type,Sensors,SkewMs,Recovery,DurationMs,SensorOffsetsMs\n');
+        this.session.addArtifact('eventLog', this.eventLogFile);
+        if (this.flickerDetector.flickerAnalyzer) {
+            this.flickerLogFile = path.join(this.logDir, `flicker_log_${timestamp}.csv`);
+            fs.writeFileSync(this.flickerLogFile,
+                'Start,End,Sensor,FrequencyHz,PeriodMs,ModulationPercent,DepthPercent,Periodicity,DurationMs\n');
+            this.log(`Logging periodic flicker to: ${this.flickerLogFile}`);
+            this.session.addArtifact('flickerLog', this.flickerLogFile);
+        }
+        if (this.recordSamples) {
+            this.startSampleRecording(timestamp);
+        }
+        this.writeDeviceInfo(timestamp);
         return this.currentLogFile;
     }
 
-    logBlink(sensorIndex, value) {
+    // One line per reading: sample time (ms since the epoch), monotonic ms since recording started,
+    // then raw value, filtered value, calibrated level and dark state (0/1) for each sensor
+    startSampleRecording(timestamp) {
+        const sensors = Array.from({ length: this.flickerDetector.channelCount }, (_, i) => i + 1);
+        const header = ['Time', 'HrTimeMs', ...sensors.flatMap(n => [`S${n}Raw`, `S${n}Filtered`, `S${n}Level`, `S${n}Dark`])];
+        this.sampleLog = new SampleLogWriter(this.logDir, `samples_${timestamp}`, header.join(','), this.sampleLogOptions);
+        this.sampleLog.on('error', (error) => this.log(`Sample log write error: ${error.message}`));
+        this.sampleLog.on('rotated', ({ file }) => this.log(`Sample log rotated: ${path.basename(file)}`));
+        this.sampleFile = this.sampleLog.partPath(1);
+
+        const recordingStart = performance.now();
+        this.recordSample = ({ time, raw, filtered, level, dark }) => {
+            const fields = [time.toFixed(3), (performance.now() - recordingStart).toFixed(3)];
+            for (let i = 0; i < raw.length; i++) {
+                fields.push(raw[i], filtered[i].toFixed(4), Number.isFinite(level[i]) ? level[i].toFixed(4) : '', dark[i] ? 1 : 0);
+            }
+            this.sampleLog.write(fields.join(','));
+        };
+        this.flickerDetector.on('sample', this.recordSample);
+        this.log(`Recording raw samples to: ${this.sampleFile}`);
+    }
+
+    async stopSampleRecording() {
+        if (!this.sampleLog) return;
+        this.flickerDetector.off('sample', this.recordSample);
+        const sampleLog = this.sampleLog;
+        this.sampleLog = null;
+        const files = await sampleLog.close();
+        files.forEach((file, i) => this.session.addArtifact('sampleLog', file, { part: i + 1 }));
+        this.log(`Raw sample log: ${sampleLog.lines} reading(s) in ${files.length} file(s)`);
+    }
+
+    // Records which board and firmware produced this session's log
+    writeDeviceInfo(timestamp) {
+        const device = this.flickerDetector.device;
+        this.deviceInfoFile = path.join(this.logDir, `device_info_${timestamp}.json`);
+        const info = {
+            logFile: path.basename(this.currentLogFile),
+            sampleFile: this.sampleFile ? path.basename(this.sampleFile) : null,
+            portPath: device.portPath,
+            port: device.portInfo,
+            capabilities: device.capabilities,
+            calibrationProfile: this.flickerDetector.calibrationProfile
+                ? {
+                    path: this.flickerDetector.calibrationProfile.path,
+                    createdAt: this.flickerDetector.calibrationProfile.createdAt
+                }
+                : null,
+            // Per-channel noise, separation, SNR and saturation from the calibration in use
+            calibrationQuality: this.flickerDetector.calibrationStats.map(stats => stats.quality || null),
+            filters: this.flickerDetector.filterChain.config,
+            // Everything replay.js needs to re-run detection on the recorded samples
+            calibration: {
+                whiteValue: this.flickerDetector.whiteValue,
+                blackValue: this.flickerDetector.blackValue,
+                threshold: this.flickerDetector.threshold
+            },
+            detection: this.flickerDetector.detection
+        };
+        fs.writeFileSync(this.deviceInfoFile, JSON.stringify(info, null, 2));
+        this.session.addArtifact('deviceInfo', this.deviceInfoFile);
+    }
+
+    logBlink(event, recipeStep) {
         if (this.currentLogFile) {
-            const timestamp = new Date().toISOString();
-            fs.appendFileSync(this.currentLogFile, `${timestamp},${sensorIndex + 1},${value}\n`);
+            const row = formatBlinkRow(event, this.correlator.eventIdFor(event.channel), recipeStep);
+            fs.appendFileSync(this.currentLogFile, row + '\n');
+        }
+    }
+
+    // One row per correlated event; sensors and their onset offsets are ';'-separated
+    logCorrelatedBlink(event) {
+        if (this.eventLogFile) {
+            const row = [
+                event.onset,
+                event.id,
+                event.type,
+                event.channels.map(channel => channel + 1).join(';'),
+                Math.round(event.skewMs),
+                event.recovery || '',
+                event.durationMs !== null ? Math.round(event.durationMs) : '',
+                event.offsets.map(offset => Math.round(offset)).join(';')
+            ];
+            fs.appendFileSync(this.eventLogFile, row.join(',') + '\n');
         }
     }
 
+    // One row per flicker episode, written when the flicker stops or the run ends
+    logFlicker(event) {
+        if (this.flickerLogFile) {
+            const row = [
+                event.start,
+                event.end || '',
+                event.channel + 1,
+                event.frequency.toFixed(3),
+                event.periodMs.toFixed(2),
+                event.modulationPercent.toFixed(1),
+                event.depthPercent !== null ? event.depthPercent.toFixed(1) : '',
+                event.periodicity.toFixed(2),
+                event.durationMs !== null ? Math.round(event.durationMs) : ''
+            ];
+            fs.appendFileSync(this.flickerLogFile, row.join(',') + '\n');
+        }
+    }
+
+    startDeviceWatcher() {
+        this.deviceWatcher.on('disconnected', ({ serialNumber, path: portPath, reason }) => {
+            this.connectionGaps.push({ start: new Date().toISOString(), end: null, durationMs: null, reason });
+            // History from before the unplug must not blend into the first samples after it. Reset
+            // here rather than on 'reconnected': a resumed stream delivers samples before that fires.
+            this.flickerDetector.filterChain.reset();
+            this.reportDeviceError('disconnected',
+                `Sensor board ${serialNumber || portPath} disconnected (${reason}) - waiting for it to return...`,
+                { serialNumber, path: portPath, reason });
+        });
+
+        this.deviceWatcher.on('reconnected', ({ path: portPath, gapMs }) => {
+            const gap = this.connectionGaps[this.connectionGaps.length - 1];
+            if (gap) {
+                gap.end = new Date().toISOString();
+                gap.durationMs = gapMs;
+            }
+            this.log(`Sensor board reconnected on ${portPath} after ${(gapMs / 1000).toFixed(1)}s - resuming session`);
+            this.emit('recovered', {
+                path: portPath,
+                gapMs,
+                start: gap ? gap.start : null,
+                end: gap ? gap.end : new Date().toISOString(),
+                reason: gap ? gap.reason : null
+            });
+        });
+
+        this.deviceWatcher.start();
+    }
+
     async initialize() {
+        this.logDir = this.session.start();
+        this.log(`Session ${this.session.id}: ${this.logDir}`);
+        if (this.cameraController) {
+            this.cameraController.outputDir = path.join(this.logDir, 'videos');
+        }
+
         try {
             await this.flickerDetector.initialize();
-            await this.cameraController.initialize();
+            this.emit('calibration', this.describeCalibration('initial'));
+            this.startDeviceWatcher();
+            if (this.cameraController) {
+                await this.cameraController.initialize();
+            }
             
             this.log('System initialized successfully');
             console.log('\n=== Recording Started ===');
@@ -54,65 +398,350 @@ class IntegratedBlinkTest {
             
             // Initialize log file
             this.initializeLogFile();
+            if (this.flickerDetector.calibrationProfile) {
+                this.session.addArtifact('calibrationProfile', this.flickerDetector.calibrationProfile.path);
+            }
+            this.updateManifest();
+            this.session.write();
             
             return true;
         } catch (error) {
-            this.log(`Initialization error: ${error.message}`);
+            this.reportDeviceError('initialize', `Initialization error: ${error.message}`);
+            this.session.set('error', error.message);
+            this.updateManifest();
+            this.session.finish('failed');
+            this.emitSessionEnd();
             throw error;
         }
     }
 
-    async startTest() {
+    // Runs until a stop condition is met or cleanup() is called; resolves with the verdict
+    startTest() {
+        this.testRun = this.runTest();
+        return this.testRun;
+    }
+
+    async runTest() {
         this.isRunning = true;
-        const startTime = Date.now();
+        this.stopReason = null;
+        const startTime = this.clock.now();
+        const duration = this.rules.durationFor(this.testDuration);
         
         try {
-            await this.cameraController.startContinuousRecording();
+            if (this.cameraController) {
+                await this.cameraController.startContinuousRecording();
+            }
             
-            while (this.isRunning && (Date.now() - startTime) < this.testDuration) {
-                try {
-                    const reading = await this.flickerDetector.device.ReadSensor();
-                    const changes = this.flickerDetector.detectStateChange(reading.value1, reading.value2);
-                    
-                    for (let i = 0; i < 2; i++) {
-                        if (changes[i]) {
-                            if (this.flickerDetector.isOn[i] && !this.flickerDetector.wasOn[i]) {
-                                this.blinkCount++;
-                                this.log(`BLINK DETECTED (#${this.blinkCount}) on Sensor ${i + 1}`);
-                                this.logBlink(i, i === 0 ? reading.value1 : reading.value2);
-                                this.cameraController.handleBlinkDetected();
-                            }
-                            this.flickerDetector.wasOn[i] = this.flickerDetector.isOn[i];
-                        }
-                    }
-
-                    await new Promise(resolve => setTimeout(resolve, 10));
-
-                } catch (error) {
-                    if (error.message.includes('Serial port error')) {
-                        this.log('Serial port error - attempting recovery...');
-                        await this.flickerDetector.device.initialize();
-                    }
-                }
+            const capabilities = this.flickerDetector.device.capabilities;
+            if (this.acquisitionMode === 'stream' && capabilities && !capabilities.streaming) {
+                this.log('Firmware does not support streaming - falling back to polled acquisition');
+                this.acquisitionMode = 'poll';
+            }
+
+            if (this.acquisitionMode === 'stream') {
+                await this.runStreaming(startTime, duration);
+            } else {
+                await this.runPolling(startTime, duration);
+            }
+            if (!this.stopReason) {
+                this.stopReason = this.isRunning ? 'duration' : 'stopped';
             }
 
+            this.flickerDetector.flushActiveBlinks();
+            this.flickerDetector.flushFlicker();
+            this.correlator.flush();
+
             this.log('\nTest Summary:');
             this.log(`Total blinks detected: ${this.blinkCount}`);
-            
+            this.perSensorBlinkCounts().forEach((count, i) => {
+                this.log(`  Sensor ${i + 1}: ${count}`);
+            });
+            this.log(`Correlated events: ${this.correlator.counts.global} global, ${this.correlator.counts.partial} partial`);
+            if (this.flickerDetector.flickerAnalyzer) {
+                this.log(`Periodic flicker episodes: ${this.flickerEpisodes}`);
+            }
+            this.flickerDetector.baseline.forEach((baseline, i) => {
+                const calibratedWhite = this.flickerDetector.calibratedWhite[i];
+                if (!calibratedWhite) return;
+                const drift = (baseline - calibratedWhite) / calibratedWhite * 100;
+                // Only drift that still shows at the printed precision
+                if (Math.abs(drift) >= 0.05) {
+                    this.log(`  Sensor ${i + 1} white level drift: ${drift >= 0 ? '+' : ''}${drift.toFixed(1)}%`);
+                }
+            });
+            for (const gap of this.connectionGaps) {
+                const duration = gap.durationMs !== null ? `${(gap.durationMs / 1000).toFixed(1)}s` : 'not recovered';
+                this.log(`Sensor disconnected ${gap.start} - ${gap.end || 'end of run'} (${duration}): ${gap.reason}`);
+            }
+            const latency = this.flickerDetector.device.latency.summary();
+            if (latency.count > 0) {
+                this.log(`Serial round trip: ${latency.count} replies, median ${latency.p50Ms.toFixed(1)} ms, ` +
+                    `p90 ${latency.p90Ms.toFixed(1)} ms, max ${latency.maxMs.toFixed(1)} ms`);
+            }
+            const wallOffset = this.clock.wallOffset();
+            if (Math.abs(wallOffset) >= 100) {
+                this.log(`Wall clock moved ${wallOffset.toFixed(0)} ms during the session (sample times are unaffected)`);
+            }
+
+            return this.recordVerdict(startTime);
         } catch (error) {
             this.log(`Test error: ${error.message}`);
+            this.session.set('error', error.message);
+            this.recordVerdict(startTime, error);
             throw error;
         }
     }
 
-    async cleanup() {
+    // Ends the run early; the first reason given is the one reported
+    stopRun(reason) {
+        if (!this.isRunning) return;
+        this.stopReason = this.stopReason || reason;
         this.isRunning = false;
+    }
+
+    recordVerdict(startTime, error = null) {
+        this.verdict = this.rules.evaluate({
+            blinkCount: this.ruleBlinkCount(),
+            durationMs: this.clock.now() - startTime,
+            stopReason: this.stopReason || 'error',
+            error: error ? error.message : null
+        });
+        this.log(`Verdict: ${this.verdict.result} (stopped by ${this.verdict.stopReason})`);
+        this.verdict.reasons.forEach(reason => this.log(`  ${reason}`));
+        this.session.set('verdict', this.verdict);
+        this.session.write();
+        return this.verdict;
+    }
+
+    async runPolling(startTime, duration) {
+        while (this.isRunning && (this.clock.now() - startTime) < duration) {
+            // The watcher reopens the port; just wait while the board is away
+            if (!this.deviceWatcher.connected) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                continue;
+            }
+
+            try {
+                const reading = await this.flickerDetector.device.ReadSensor();
+                this.processReading(reading);
+
+                await new Promise(resolve => setTimeout(resolve, 10));
+
+            } catch (error) {
+                if (this.isRunning && this.deviceWatcher.connected) {
+                    this.reportDeviceError('read', `Sensor read error: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    async runStreaming(startTime, duration) {
+        const device = this.flickerDetector.device;
+        const onData = (reading) => this.processReading(reading);
+        const onDropped = ({ expectedSeq, count }) => {
+            this.reportDeviceError('stream', `Stream gap: ${count} sample(s) dropped starting at #${expectedSeq}`,
+                { problem: 'samplesDropped', expectedSeq, count });
+        };
+        const onOutOfOrder = ({ expectedSeq, seq }) => {
+            this.reportDeviceError('stream', `Stream out of order: got #${seq}, expected #${expectedSeq}`,
+                { problem: 'sampleOutOfOrder', expectedSeq, seq });
+        };
+        const onMalformed = ({ seq, expected, count }) => {
+            this.reportDeviceError('stream', `Malformed sample #${seq}: expected ${expected} value(s), got ${count}`,
+                { problem: 'sampleMalformed', seq, expected, count });
+        };
+
+        device.on('data', onData);
+        device.on('samplesDropped', onDropped);
+        device.on('sampleOutOfOrder', onOutOfOrder);
+        device.on('sampleMalformed', onMalformed);
+
+        try {
+            await device.startStreaming(this.sampleRate);
+            this.log(`Streaming samples at ${this.sampleRate} Hz`);
+
+            while (this.isRunning && (this.clock.now() - startTime) < duration) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+        } finally {
+            device.off('data', onData);
+            device.off('samplesDropped', onDropped);
+            device.off('sampleOutOfOrder', onOutOfOrder);
+            device.off('sampleMalformed', onMalformed);
+
+            const stats = await device.stopStreaming();
+            if (stats) {
+                this.log(`Stream statistics: ${stats.received} received, ${stats.dropped} dropped, ${stats.outOfOrder} out of order, ${stats.malformed} malformed`);
+            }
+        }
+    }
+
+    processReading(reading) {
+        this.flickerDetector.detectStateChange(reading.values, this.sampleTimeFor(reading));
+    }
+
+    // Polled samples were taken while their 's' was in flight: they are placed halfway through
+    // their own round trip. Streamed samples carry the device clock (microseconds), which keeps
+    // dwell times exact; it is anchored to the session clock on the first sample and again
+    // whenever the board restarts, less the typical one-way delay from the latency histogram.
+    sampleTimeFor(reading) {
+        if (reading.deviceTime === undefined) {
+            if (reading.receivedAt === undefined) {
+                return this.clock.now();
+            }
+            return reading.roundTripMs !== null && reading.roundTripMs !== undefined
+                ? reading.receivedAt - reading.roundTripMs / 2
+                : reading.receivedAt;
+        }
+
+        const deviceTime = reading.deviceTime / 1000;
+        if (this.deviceClockOffset === null || deviceTime < this.lastDeviceTime) {
+            const receivedAt = reading.receivedAt !== undefined ? reading.receivedAt : this.clock.now();
+            this.deviceClockOffset = receivedAt - this.flickerDetector.device.oneWayLatency() - deviceTime;
+        }
+        this.lastDeviceTime = deviceTime;
+        return deviceTime + this.deviceClockOffset;
+    }
+
+    handleBlinkStart(event) {
+        this.blinkCount++;
+        this.sensorBlinkCounts[event.channel] = (this.sensorBlinkCounts[event.channel] || 0) + 1;
+        const recipeStep = this.recipeStepAt(event.onsetTime);
+        this.blinkSteps[event.channel] = recipeStep;
+        const position = recipeStep && recipeStep.step ? `loop ${recipeStep.loop} step ${recipeStep.step}, ` : '';
+        const during = recipeStep ? ` during ${recipeStep.command} (${position}+${Math.round(recipeStep.elapsedMs)} ms)` : '';
+        this.log(`BLINK DETECTED (#${this.blinkCount}) on Sensor ${event.channel + 1}${during}`);
+        if (this.cameraController) {
+            this.cameraController.handleBlinkDetected(event);
+        }
+        this.emit('blink', {
+            phase: 'start',
+            ...event,
+            sensor: event.channel + 1,
+            number: this.blinkCount,
+            eventId: this.correlator.eventIdFor(event.channel),
+            recipeStep
+        });
+    }
+
+    handleBlinkEvent(event) {
+        const duration = event.durationMs !== null ? `${Math.round(event.durationMs)} ms` : 'not recovered';
+        const depth = event.minLevelPercent !== null ? `, darkest ${event.minLevelPercent.toFixed(1)}% of white` : '';
+        // The step is the one the blink started in, even if it recovered in a later one
+        const recipeStep = this.blinkSteps[event.channel] || null;
+        this.blinkSteps[event.channel] = null;
+        this.log(`Blink on Sensor ${event.channel + 1}: ${duration}${depth}`);
+        this.logBlink(event, recipeStep);
+        if (this.cameraController) {
+            this.cameraController.recordBlinkEvent({ ...event, recipeStep });
+        }
+        this.emit('blink', {
+            phase: 'end',
+            ...event,
+            sensor: event.channel + 1,
+            eventId: this.correlator.eventIdFor(event.channel),
+            recipeStep
+        });
+
+        if (this.rules.rules.countBlinks === 'sensorBlinks') {
+            this.checkRules();
+        }
+    }
+
+    handleCorrelatedBlink(event) {
+        const sensors = event.channels.map(channel => channel + 1).join(', ');
+        const skew = event.channels.length > 1 ? `, skew ${Math.round(event.skewMs)} ms` : '';
+        this.log(`Event #${event.id}: ${event.type.toUpperCase()} blink on sensor(s) ${sensors}${skew}`);
+        this.logCorrelatedBlink(event);
+        if (this.rules.rules.countBlinks === 'events') {
+            this.checkRules();
+        }
+    }
+
+    // Blinks so far on each sensor, including sensors that have not blinked
+    perSensorBlinkCounts() {
+        return Array.from({ length: this.flickerDetector.channelCount }, (_, i) => this.sensorBlinkCounts[i] || 0);
+    }
+
+    // Blinks so far in the unit the run rules count: correlated events or per-sensor blinks
+    ruleBlinkCount() {
+        if (this.rules.rules.countBlinks === 'sensorBlinks') {
+            return this.blinkCount;
+        }
+        return this.correlator.counts.global + this.correlator.counts.partial;
+    }
+
+    // Rules are checked once a blink has recovered, so its duration is still logged
+    checkRules() {
+        const reason = this.rules.shouldStop(this.ruleBlinkCount());
+        if (reason && this.flickerDetector.activeBlink.every(active => !active)) {
+            this.log(reason === 'blinkLimit'
+                ? `Blink limit of ${this.rules.rules.stopAfterBlinks} reached - ending the run`
+                : 'Run can no longer pass - ending the run');
+            this.stopRun(reason);
+        }
+    }
+
+    handleFlicker(event) {
+        this.flickerEpisodes++;
+        const depth = event.depthPercent !== null ? `, depth ${event.depthPercent.toFixed(1)}% of range` : '';
+        this.log(`PERIODIC FLICKER on Sensor ${event.channel + 1}: ${event.frequency.toFixed(2)} Hz, ` +
+            `modulation ${event.modulationPercent.toFixed(1)}%${depth}, periodicity ${event.periodicity.toFixed(2)}`);
+    }
+
+    handleFlickerEnd(event) {
+        const duration = event.durationMs !== null ? `${(event.durationMs / 1000).toFixed(1)}s` : 'unknown duration';
+        this.log(`Periodic flicker on Sensor ${event.channel + 1} ended (${event.frequency.toFixed(2)} Hz, ${duration})`);
+        this.logFlicker(event);
+    }
+
+    handleDrift(event) {
+        const direction = event.driftPercent < 0 ? 'dropped' : 'rose';
+        this.log(`Sensor ${event.channel + 1} white level ${direction} ${Math.abs(event.driftPercent).toFixed(1)}% since calibration ` +
+            `(threshold now ${event.threshold.toFixed(3)})`);
+        this.emit('calibration', this.describeCalibration('drift', { channel: event.channel, driftPercent: event.driftPercent }));
+    }
+
+    handleRecalibrationNeeded(event) {
+        this.log(`Sensor ${event.channel + 1} has drifted ${Math.abs(event.driftPercent).toFixed(1)}% ` +
+            `(limit ${event.limitPercent}%) - recalibration needed`);
+        this.emit('calibration', this.describeCalibration('recalibrationNeeded', {
+            channel: event.channel,
+            driftPercent: event.driftPercent
+        }));
+    }
+
+    handleSegmentSaved(segment) {
+        this.session.addArtifact('video', segment.video);
+        if (segment.events) this.session.addArtifact('videoEvents', segment.events);
+        const sensors = [...new Set(segment.blinks.map(blink => blink.channel + 1))].sort((a, b) => a - b);
+        this.emit('segmentSaved', { ...segment, sensors });
+    }
+
+    async cleanup() {
+        this.stopRun('stopped');
         this.log('Stopping recording and cleaning up...');
+        this.deviceWatcher.stop();
         
         try {
-            await this.cameraController.cleanup();
+            // Let the run finish its summary and verdict before the device is closed
+            if (this.testRun) {
+                await this.testRun.catch(() => {});
+            }
+            await this.stopSampleRecording();
+            if (this.cameraController) {
+                await this.cameraController.cleanup();
+            }
+            // Port and firmware details are gone once the device is closed
+            this.updateManifest();
             await this.flickerDetector.cleanup();
+            this.session.finish(this.session.manifest.error ? 'failed' : 'completed');
+            if (this.writeReport && this.logDir) {
+                await this.generateReport();
+            }
+            this.log(`Session manifest: ${path.join(this.logDir, 'manifest.json')}`);
             this.log('Cleanup completed successfully');
+            this.emitSessionEnd();
             return this.currentLogFile;
         } catch (error) {
             this.log(`Error during cleanup: ${error.message}`);
@@ -120,9 +749,49 @@ class IntegratedBlinkTest {
         }
     }
 
+    // A failed report must not lose the rest of the session's output
+    async generateReport() {
+        try {
+            this.reportPath = await generateReport(this.logDir);
+            this.recordArtifact('report', this.reportPath);
+            this.log(`Session report: ${this.reportPath}`);
+        } catch (error) {
+            this.log(`Error writing session report: ${error.message}`);
+        }
+    }
+
+    emitSessionEnd() {
+        const manifest = this.session.manifest;
+        this.emit('sessionEnd', {
+            sessionId: manifest.sessionId,
+            directory: this.logDir,
+            status: manifest.status,
+            error: manifest.error || null,
+            startedAt: manifest.startedAt,
+            stoppedAt: manifest.stoppedAt,
+            blinkCount: this.blinkCount,
+            perSensor: this.perSensorBlinkCounts(),
+            correlated: { ...this.correlator.counts },
+            flickerEpisodes: this.flickerEpisodes,
+            connectionGaps: this.connectionGaps,
+            verdict: this.verdict,
+            manifest: path.join(this.logDir, 'manifest.json'),
+            report: this.reportPath
+        });
+    }
+
+    // The running session's folder, or the folder sessions are created in
     getLogDirectory() {
-        return this.logDir;
+        return this.logDir || this.session.root;
+    }
+
+    // Where device manager diffs for this session go (undefined before the session starts)
+    getSnapshotDirectory() {
+        return this.logDir ? path.join(this.logDir, 'snapshots') : undefined;
     }
 }
 
+IntegratedBlinkTest.BLINK_CSV_HEADER = BLINK_CSV_HEADER;
+IntegratedBlinkTest.formatBlinkRow = formatBlinkRow;
+
 module.exports = IntegratedBlinkTest;
\ No newline at end of file
@@ -1,12 +1,18 @@
 const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const IntegratedBlinkTest = require('./integrated-test.js');
+const RecipeAssertions = require('./RecipeAssertions');
+const SessionClock = require('./SessionClock');
 
 let mainWindow;
 let blinkTest;
 let inputResolve = null;
 let recipeInProgress = false;
-let currentRecipe = [];
+let currentRecipe = null;          // { commands, loop, count, rules, assertions } while a recipe runs, for the session manifest
+let currentStep = null;            // { loop, step, command, param, startTime } of the command being executed
+let recipeAssertions = null;       // RecipeAssertions of the running recipe
+let recipeTest = null;             // latest test of the running recipe; gets its assertion reports
+let recipeClock = null;            // SessionClock shared by the running recipe and the tests it starts
 let recipeIndex = 0;
 let isRecipeRunning = false;
 let shouldStopRecipe = false;
@@ -52,6 +58,38 @@ console.log = (...args) => {
 
 // Add this constant near the top with other constants
 const COMMAND_DELAY = 1000; // 1 second delay between commands
+const READING_INTERVAL = 50;  // readings are forwarded to the UI at most this often (ms)
+
+// Passes the test's typed events to the renderer; text output still arrives as 'log-message'
+function forwardTestEvents(test) {
+    const send = (channel, payload) => {
+        if (mainWindow && mainWindow.webContents) {
+            mainWindow.webContents.send(channel, payload);
+        }
+    };
+    let lastReading = 0;
+    if (isRecipeRunning) {
+        recipeTest = test;
+    }
+
+    test.on('reading', (reading) => {
+        if (reading.time - lastReading >= READING_INTERVAL) {
+            lastReading = reading.time;
+            send('reading', reading);
+        }
+    });
+    test.on('blink', (event) => {
+        if (recipeAssertions && event.phase === 'start') {
+            recipeAssertions.recordBlink(event);
+        }
+        send('blink', event);
+    });
+    test.on('calibration', (event) => send('calibration', event));
+    test.on('deviceError', (event) => send('device-error', event));
+    test.on('recovered', (event) => send('device-recovered', event));
+    test.on('segmentSaved', (event) => send('segment-saved', event));
+    test.on('sessionEnd', (event) => send('session-end', event));
+}
 
 function createWindow() {
     mainWindow = new BrowserWindow({
@@ -95,21 +133,22 @@ ipcMain.on('terminal-input', (_, input) => {
 
 ipcMain.on('start-detection', async () => {
     try {
-        blinkTest = new IntegratedBlinkTest();
+        blinkTest = new IntegratedBlinkTest({
+            recipe: currentRecipe,
+            rules: currentRecipe ? currentRecipe.rules : undefined,
+            clock: recipeClock || undefined
+        });
+        forwardTestEvents(blinkTest);
+        blinkTest.setRecipeStep(currentStep);
         await blinkTest.initialize();
         
         // Override the test duration to run indefinitely
         blinkTest.testDuration = Number.MAX_SAFE_INTEGER;
         
-        // Modify the log function to send to renderer
-        const originalLog = blinkTest.log;
-        blinkTest.log = (message) => {
-            originalLog.call(blinkTest, message);
-            mainWindow.webContents.send('log-message', message);
-        };
-        
-        blinkTest.startTest();
-        mainWindow.webContents.send('detection-started');
+        watchTestRun(blinkTest);
+        mainWindow.webContents.send('detection-started', {
+            channels: blinkTest.flickerDetector.channelCount
+        });
     } catch (error) {
         mainWindow.webContents.send('log-message', `Error: ${error.message}`);
     }
@@ -154,14 +193,25 @@ ipcMain.on('execute-recipe-command', async (event, { command, param }) => {
 });
 
 // Replace the existing 'run-recipe' handler
-ipcMain.on('run-recipe', async (event, { commands, loop, count }) => {
+ipcMain.on('run-recipe', async (event, { commands, loop, count, rules, assertions }) => {
     if (isRecipeRunning) return;
     
     isRecipeRunning = true;
     shouldStopRecipe = false;
+    currentRecipe = { commands, loop, count, rules, assertions };
+    recipeTest = blinkTest;
+    recipeClock = blinkTest ? blinkTest.clock : new SessionClock();
     let currentLoop = 0;
 
     try {
+        // Assertions count blinks in the same unit as the recipe's run rules
+        recipeAssertions = new RecipeAssertions(assertions, commands.map(cmd => cmd.split(',')[0]), {
+            countBlinks: rules ? rules.countBlinks : undefined
+        });
+        if (blinkTest && blinkTest.isRunning) {
+            recipeAssertions.detectionStarted(eventTime());
+        }
+
         // Switch to detection tab before starting recipe execution
         mainWindow.webContents.send('switch-to-detection');
         await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for tab switch
@@ -172,13 +222,17 @@ ipcMain.on('run-recipe', async (event, { commands, loop, count }) => {
             currentLoop++;
             mainWindow.webContents.send('log-message', `Starting loop ${currentLoop}/${count}`);
             
-            for (const cmd of commands) {
-                if (shouldStopRecipe) break;
+            try {
+                for (const [index, cmd] of commands.entries()) {
+                    if (shouldStopRecipe) break;
 
-                const [command, param] = cmd.split(',');
-                mainWindow.webContents.send('log-message', `Executing: ${command}`);
-                await executeRecipeCommand(command, param);
-                mainWindow.webContents.send('log-message', `Completed: ${command}`);
+                    const [command, param] = cmd.split(',');
+                    mainWindow.webContents.send('log-message', `Executing: ${command}`);
+                    await executeRecipeCommand(command, param, { loop: currentLoop, step: index + 1 });
+                    mainWindow.webContents.send('log-message', `Completed: ${command}`);
+                }
+            } finally {
+                reportAssertions(currentLoop);
             }
         } while (loop && currentLoop < count && !shouldStopRecipe);
 
@@ -190,9 +244,27 @@ ipcMain.on('run-recipe', async (event, { commands, loop, count }) => {
     } finally {
         isRecipeRunning = false;
         shouldStopRecipe = false;
+        currentRecipe = null;
+        recipeAssertions = null;
+        recipeTest = null;
+        publishRecipeStep(null);
+        recipeClock = null;
     }
 });
 
+// Checks the loop's assertions and files the report with the session that saw its blinks
+function reportAssertions(loop) {
+    if (!recipeAssertions || !recipeAssertions.hasAssertions) return;
+
+    const report = recipeAssertions.finishLoop(loop, eventTime());
+    if (recipeTest) {
+        recipeTest.recordAssertionReport(report);
+    } else {
+        mainWindow.webContents.send('log-message', `Recipe loop ${loop} assertions: ${report.result} (no detection session)`);
+    }
+    mainWindow.webContents.send('assertion-report', report);
+}
+
 // Replace the existing 'stop-recipe' handler
 ipcMain.on('stop-recipe', () => {
     shouldStopRecipe = true;
@@ -227,8 +299,39 @@ async function waitForDetectionStart() {
     });
 }
 
+// Now on the clock blink onsets are stamped with, so step starts and assertion windows line up with them
+function eventTime() {
+    const clock = recipeClock || (blinkTest && blinkTest.clock);
+    return clock ? clock.now() : Date.now();
+}
+
+// Makes the step the current one for blink records and the UI; null clears it
+function publishRecipeStep(step) {
+    currentStep = step;
+    if (blinkTest) {
+        blinkTest.setRecipeStep(step);
+    }
+    mainWindow.webContents.send('recipe-step', step);
+}
+
 // Replace the existing executeRecipeCommand function
-async function executeRecipeCommand(command, param) {
+// position is { loop, step } (1-based) for recipe steps; quick commands have none
+async function executeRecipeCommand(command, param, position = {}) {
+    const startTime = eventTime();
+    if (recipeAssertions && position.step) {
+        recipeAssertions.stepStarted(position.step, startTime);
+    }
+    // A command outside a recipe is current only while it runs, and never replaces a recipe's step
+    const ownsStep = Boolean(position.step) || !isRecipeRunning;
+    if (ownsStep) {
+        publishRecipeStep({
+            loop: position.loop || null,
+            step: position.step || null,
+            command,
+            param: param || null,
+            startTime
+        });
+    }
     mainWindow.webContents.send('recipe-command-start', command);
     console.log(`Executing command: ${command}`);
     
@@ -277,7 +380,8 @@ async function executeRecipeCommand(command, param) {
                 break;
             case 'snapshotDeviceManager':
                 const DeviceSnapshotComparer = require('./DeviceSnapshotComparer');
-                const comparer = new DeviceSnapshotComparer();
+                // Diffs go into the running session's folder when there is one
+                const comparer = new DeviceSnapshotComparer(blinkTest ? blinkTest.getSnapshotDirectory() : undefined);
                 await comparer.initialize();
                 const snapshot = await comparer.takeSnapshot();
                 global.lastSnapshot = global.lastSnapshot || [];
@@ -288,7 +392,14 @@ async function executeRecipeCommand(command, param) {
                         global.lastSnapshot[0],
                         global.lastSnapshot[1]
                     );
-                    await comparer.saveChangesToFile(changes);
+                    const changesFile = await comparer.saveChangesToFile(changes);
+                    if (blinkTest) {
+                        blinkTest.recordArtifact('deviceChanges', changesFile, {
+                            added: changes.added.length,
+                            removed: changes.removed.length,
+                            modified: changes.modified.length
+                        });
+                    }
                     global.lastSnapshot = [];
                 }
                 break;
@@ -302,14 +413,24 @@ async function executeRecipeCommand(command, param) {
         console.error(`Error executing ${command}:`, error);
         mainWindow.webContents.send('recipe-error', error.message);
         throw error;
+    } finally {
+        if (ownsStep && !position.step) {
+            publishRecipeStep(null);
+        }
     }
 }
 
 // Add new helper function for serial commands
 async function executeSerialCommand(command) {
+    // Share the detection port while a test is running; its command queue keeps replies apart
+    const activeDevice = blinkTest && blinkTest.flickerDetector.device;
+    const shared = Boolean(activeDevice && activeDevice.port && activeDevice.port.isOpen);
+
     const DeviceSerialPort = require('./serialport');
-    const device = new DeviceSerialPort();
-    await device.initialize();
+    const device = shared ? activeDevice : new DeviceSerialPort();
+    if (!shared) {
+        await device.initialize();
+    }
     
     try {
         switch(command) {
@@ -319,25 +440,50 @@ async function executeSerialCommand(command) {
             case 'b': await device.MagnetOn(); break;
         }
     } finally {
-        await device.close();
+        if (!shared) {
+            await device.close();
+        }
     }
 }
 
+// Sends the run's verdict to the UI; when a stop rule ended the run, cleans up as the stop button would
+function watchTestRun(test) {
+    if (recipeAssertions) {
+        recipeAssertions.detectionStarted(eventTime());
+    }
+    test.startTest().then(verdict => {
+        if (recipeAssertions) {
+            recipeAssertions.detectionStopped(eventTime());
+        }
+        mainWindow.webContents.send('test-verdict', verdict);
+        if (blinkTest === test && verdict.stopReason !== 'stopped') {
+            return stopFlickerDetection();
+        }
+    }).catch(error => {
+        if (recipeAssertions) {
+            recipeAssertions.detectionStopped(eventTime());
+        }
+        mainWindow.webContents.send('log-message', `Test error: ${error.message}`);
+    });
+}
+
 // Add these helper functions
 async function startFlickerDetection() {
     if (!blinkTest) {
-        blinkTest = new IntegratedBlinkTest();
+        blinkTest = new IntegratedBlinkTest({
+            recipe: currentRecipe,
+            rules: currentRecipe ? currentRecipe.rules : undefined,
+            clock: recipeClock || undefined
+        });
+        forwardTestEvents(blinkTest);
+        blinkTest.setRecipeStep(currentStep);
         await blinkTest.initialize();
         blinkTest.testDuration = Number.MAX_SAFE_INTEGER;
         
-        const originalLog = blinkTest.log;
-        blinkTest.log = (message) => {
-            originalLog.call(blinkTest, message);
-            mainWindow.webContents.send('log-message', message);
-        };
-        
-        blinkTest.startTest();
-        mainWindow.webContents.send('detection-started');
+        watchTestRun(blinkTest);
+        mainWindow.webContents.send('detection-started', {
+            channels: blinkTest.flickerDetector.channelCount
+        });
     }
 }
 
@@ -0,0 +1,192 @@
+// replay.js
+// Re-runs blink detection on a recorded raw-sample log (see recordSamples) with different
+// calibration, filter or threshold settings, and diffs the result against the original blink log.
+// Usage: node replay.js <samples.csv> [--config settings.json] [--original blink_log.csv] [--tolerance ms]
+// Any part of a rotated log (samples_<timestamp>_NNN.csv[.gz]) replays the whole session.
+const fs = require('fs');
+const path = require('path');
+const CalibratedFlickerDetector = require('./CalibratedFlickerDetector');
+const BlinkCorrelator = require('./BlinkCorrelator');
+const IntegratedBlinkTest = require('./integrated-test.js');
+const { sessionParts, readSamples } = require('./SampleLogWriter');
+
+// Session metadata written next to the samples by IntegratedBlinkTest.writeDeviceInfo
+function readSessionInfo(directory, base) {
+    const infoFile = path.join(directory, `${base.replace(/^samples_/, 'device_info_')}.json`);
+    if (!fs.existsSync(infoFile)) return null;
+    return JSON.parse(fs.readFileSync(infoFile, 'utf8'));
+}
+
+function parseCsvHeader(line) {
+    const columns = {};
+    line.trim().split(',').forEach((name, index) => { columns[name] = index; });
+    return columns;
+}
+
+// Reads a blink CSV into { sensor, onsetTime, durationMs } entries
+function readBlinkLog(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const columns = parseCsvHeader(lines[0]);
+    if (columns.Timestamp === undefined || columns.Sensor === undefined) {
+        throw new Error(`${file} is not a blink log (expected Timestamp and Sensor columns)`);
+    }
+
+    return lines.slice(1).map(line => {
+        const fields = line.split(',');
+        const duration = columns.DurationMs !== undefined ? fields[columns.DurationMs] : '';
+        return {
+            sensor: parseInt(fields[columns.Sensor], 10),
+            onset: fields[columns.Timestamp],
+            onsetTime: Date.parse(fields[columns.Timestamp]),
+            durationMs: duration !== '' && duration !== undefined ? parseFloat(duration) : null
+        };
+    });
+}
+
+/**
+ * Pairs blinks of the same sensor whose onsets are within toleranceMs.
+ * Returns rows with status 'matched', 'missing' (only in the original) or 'added' (only in the replay).
+ */
+function diffBlinks(original, replayed, toleranceMs = 50) {
+    const rows = [];
+    const sensors = new Set([...original, ...replayed].map(blink => blink.sensor));
+
+    for (const sensor of [...sensors].sort((a, b) => a - b)) {
+        const before = original.filter(blink => blink.sensor === sensor).sort((a, b) => a.onsetTime - b.onsetTime);
+        const after = replayed.filter(blink => blink.sensor === sensor).sort((a, b) => a.onsetTime - b.onsetTime);
+        let i = 0;
+        let j = 0;
+
+        while (i < before.length || j < after.length) {
+            const a = before[i];
+            const b = after[j];
+            if (a && b && Math.abs(a.onsetTime - b.onsetTime) <= toleranceMs) {
+                rows.push({ status: 'matched', sensor, original: a, replayed: b });
+                i++;
+                j++;
+            } else if (a && (!b || a.onsetTime < b.onsetTime)) {
+                rows.push({ status: 'missing', sensor, original: a, replayed: null });
+                i++;
+            } else {
+                rows.push({ status: 'added', sensor, original: null, replayed: b });
+                j++;
+            }
+        }
+    }
+
+    return rows;
+}
+
+function formatDiffRow(row) {
+    const { original, replayed } = row;
+    const duration = blink => blink && blink.durationMs !== null ? Math.round(blink.durationMs) : '';
+    return [
+        row.status,
+        row.sensor,
+        original ? original.onset : '',
+        replayed ? replayed.onset : '',
+        original && replayed ? Math.round(replayed.onsetTime - original.onsetTime) : '',
+        duration(original),
+        duration(replayed)
+    ].join(',');
+}
+
+/**
+ * Replays samplesFile through a fresh detector. settings are detector options
+ * (calibration, filters, detection, drift, flickerAnalysis, correlation); anything not
+ * given is taken from the recorded session. Writes replay_blinks_* and, when the
+ * original blink log is known, replay_diff_* next to the samples file.
+ */
+async function replaySession(samplesFile, settings = {}, options = {}) {
+    const { base, files } = sessionParts(samplesFile);
+    const session = readSessionInfo(path.dirname(samplesFile), base) || {};
+    const calibration = settings.calibration || session.calibration;
+    if (!calibration) {
+        throw new Error(`No calibration for ${samplesFile}: pass one in the settings file (whiteValue, blackValue, threshold)`);
+    }
+
+    const detector = new CalibratedFlickerDetector({
+        calibrationStore: false,
+        detection: session.detection,
+        filters: session.filters,
+        ...settings
+    });
+    detector.useCalibration(calibration);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const blinkFile = path.join(path.dirname(samplesFile), `replay_blinks_${stamp}.csv`);
+    const rows = [IntegratedBlinkTest.BLINK_CSV_HEADER];
+    const blinks = [];
+    detector.on('blink', (event) => {
+        rows.push(IntegratedBlinkTest.formatBlinkRow(event, correlator.eventIdFor(event.channel)));
+        blinks.push({ sensor: event.channel + 1, onset: event.onset, onsetTime: event.onsetTime, durationMs: event.durationMs });
+    });
+    // Created after the blink listener, as in IntegratedBlinkTest: the correlator forgets a
+    // channel's event once it has seen its 'blink', so the row must be written first
+    const correlator = new BlinkCorrelator(detector, settings.correlation);
+
+    let samples = 0;
+    for (const file of files) {
+        for await (const sample of readSamples(file)) {
+            detector.detectStateChange(sample.values, sample.time);
+            samples++;
+        }
+    }
+    detector.flushActiveBlinks();
+    detector.flushFlicker();
+    correlator.flush();
+
+    fs.writeFileSync(blinkFile, rows.join('\n') + '\n');
+    console.log(`Replayed ${samples} samples from ${files.length} file(s): ${blinks.length} blink(s) -> ${blinkFile}`);
+
+    const originalFile = options.original ||
+        (session.logFile ? path.join(path.dirname(samplesFile), session.logFile) : null);
+    if (!originalFile || !fs.existsSync(originalFile)) {
+        console.log('Original blink log not found, skipping the diff');
+        return { blinks, blinkFile, diff: null, diffFile: null };
+    }
+
+    const diff = diffBlinks(readBlinkLog(originalFile), blinks, options.tolerance);
+    const diffFile = path.join(path.dirname(samplesFile), `replay_diff_${stamp}.csv`);
+    fs.writeFileSync(diffFile, [
+        'Status,Sensor,OriginalOnset,ReplayOnset,OnsetShiftMs,OriginalDurationMs,ReplayDurationMs',
+        ...diff.map(formatDiffRow)
+    ].join('\n') + '\n');
+
+    const count = status => diff.filter(row => row.status === status).length;
+    console.log(`Compared with ${originalFile}:`);
+    console.log(`  ${count('matched')} matched, ${count('missing')} no longer detected, ${count('added')} newly detected`);
+    console.log(`  Diff written to ${diffFile}`);
+    return { blinks, blinkFile, diff, diffFile };
+}
+
+function parseArguments(args) {
+    const parsed = { samplesFile: null, config: null, original: null, tolerance: undefined };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--config': parsed.config = args[++i]; break;
+            case '--original': parsed.original = args[++i]; break;
+            case '--tolerance': parsed.tolerance = parseFloat(args[++i]); break;
+            default: parsed.samplesFile = args[i];
+        }
+    }
+    return parsed;
+}
+
+if (require.main === module) {
+    const args = parseArguments(process.argv.slice(2));
+    if (!args.samplesFile) {
+        console.error('Usage: node replay.js <samples.csv> [--config settings.json] [--original blink_log.csv] [--tolerance ms]');
+        process.exit(1);
+    }
+
+    const settings = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+    replaySession(args.samplesFile, settings, { original: args.original, tolerance: args.tolerance }).then(() => {
+        process.exit(0);
+    }).catch(error => {
+        console.error('Replay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { replaySession, diffBlinks, readBlinkLog };
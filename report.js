@@ -0,0 +1,302 @@
+// report.js
+// Builds a single offline HTML report for a session folder (see TestSession): summary,
+// per-channel signal plots with blink markers, the blink table, saved clips and device diffs.
+// Usage: node report.js <session folder>
+const fs = require('fs');
+const path = require('path');
+const { readSamples } = require('./SampleLogWriter');
+
+const PLOT_WIDTH = 1000;
+const PLOT_HEIGHT = 160;
+const PLOT_MARGIN = { left: 50, right: 10, top: 10, bottom: 25 };
+const PLOT_BUCKETS = 1500;     // min/max envelope points per channel
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Reads a CSV written by this project into objects keyed by header name
+function readCsv(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+    const header = lines[0].split(',');
+    return lines.slice(1).map(line => {
+        const fields = line.split(',');
+        const row = {};
+        header.forEach((name, i) => { row[name] = fields[i] !== undefined ? fields[i] : ''; });
+        return row;
+    });
+}
+
+function artifactsOf(manifest, sessionDir, type) {
+    return manifest.artifacts
+        .filter(artifact => artifact.type === type)
+        .map(artifact => ({ ...artifact, file: path.resolve(sessionDir, artifact.path) }))
+        .filter(artifact => fs.existsSync(artifact.file));
+}
+
+// Reduces the raw sample log to a min/max envelope per channel so long runs stay small
+async function loadSignal(files, startTime, endTime) {
+    const bucketMs = Math.max(1, (endTime - startTime) / PLOT_BUCKETS);
+    const channels = [];
+
+    for (const file of files) {
+        for await (const { time, values } of readSamples(file)) {
+            const bucket = Math.floor((time - startTime) / bucketMs);
+            values.forEach((value, channel) => {
+                if (!channels[channel]) channels[channel] = new Map();
+                const entry = channels[channel].get(bucket);
+                if (entry) {
+                    entry.min = Math.min(entry.min, value);
+                    entry.max = Math.max(entry.max, value);
+                } else {
+                    channels[channel].set(bucket, { time: startTime + bucket * bucketMs, min: value, max: value });
+                }
+            });
+        }
+    }
+
+    return channels.map(buckets => [...buckets.values()].sort((a, b) => a.time - b.time));
+}
+
+function renderPlot(channel, envelope, blinks, range, calibration) {
+    const { left, right, top, bottom } = PLOT_MARGIN;
+    const innerWidth = PLOT_WIDTH - left - right;
+    const innerHeight = PLOT_HEIGHT - top - bottom;
+
+    const values = envelope.flatMap(point => [point.min, point.max]);
+    const white = calibration && calibration.whiteValue ? calibration.whiteValue[channel] : null;
+    const black = calibration && calibration.blackValue ? calibration.blackValue[channel] : null;
+    const levels = [...values, white, black].filter(Number.isFinite);
+    const low = levels.length ? Math.min(...levels) : 0;
+    const high = levels.length ? Math.max(...levels) : 5;
+    const span = high - low || 1;
+
+    const x = time => left + ((time - range.start) / (range.end - range.start || 1)) * innerWidth;
+    const y = value => top + (1 - (value - low) / span) * innerHeight;
+    const parts = [];
+
+    for (const blink of blinks) {
+        const start = x(blink.onsetTime);
+        const end = blink.recoveryTime !== null ? x(blink.recoveryTime) : x(range.end);
+        parts.push(`<rect class="blink" x="${start.toFixed(1)}" y="${top}" width="${Math.max(1.5, end - start).toFixed(1)}" height="${innerHeight}"><title>Blink at ${escapeHtml(blink.onset)}</title></rect>`);
+    }
+    for (const [value, label] of [[white, 'white'], [black, 'black']]) {
+        if (Number.isFinite(value)) {
+            parts.push(`<line class="level" x1="${left}" x2="${PLOT_WIDTH - right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"><title>${label} ${value.toFixed(3)} V</title></line>`);
+        }
+    }
+    if (envelope.length > 0) {
+        const points = envelope.flatMap(point => [
+            `${x(point.time).toFixed(1)},${y(point.min).toFixed(1)}`,
+            `${x(point.time).toFixed(1)},${y(point.max).toFixed(1)}`
+        ]);
+        parts.push(`<polyline class="signal" points="${points.join(' ')}"/>`);
+    } else {
+        parts.push(`<text x="${left + 10}" y="${top + 20}">No raw samples recorded (run with recordSamples: true for signal plots)</text>`);
+    }
+
+    // Axes: volts on the left, seconds since the start of the session along the bottom
+    parts.push(`<text x="${left - 5}" y="${y(high) + 4}" text-anchor="end">${high.toFixed(2)}</text>`);
+    parts.push(`<text x="${left - 5}" y="${y(low)}" text-anchor="end">${low.toFixed(2)}</text>`);
+    const seconds = (range.end - range.start) / 1000;
+    for (let i = 0; i <= 5; i++) {
+        const time = range.start + (range.end - range.start) * i / 5;
+        parts.push(`<text x="${x(time).toFixed(1)}" y="${PLOT_HEIGHT - 5}" text-anchor="middle">${(seconds * i / 5).toFixed(1)}s</text>`);
+    }
+
+    return `<svg viewBox="0 0 ${PLOT_WIDTH} ${PLOT_HEIGHT}" width="100%">` +
+        `<rect class="frame" x="${left}" y="${top}" width="${innerWidth}" height="${innerHeight}"/>${parts.join('')}</svg>`;
+}
+
+function durationStats(blinks) {
+    const durations = blinks.map(blink => blink.durationMs).filter(Number.isFinite);
+    if (durations.length === 0) return '';
+    const mean = durations.reduce((a, b) => a + b, 0) / durations.length;
+    return `${Math.min(...durations)} / ${mean.toFixed(0)} / ${Math.max(...durations)} ms`;
+}
+
+/**
+ * Writes report.html into the session folder and returns its path. Everything is inlined
+ * except the video clips, which are linked relative to the report.
+ */
+async function generateReport(sessionDir) {
+    const manifestPath = path.join(sessionDir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`${sessionDir} is not a session folder (no manifest.json)`);
+    }
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    // Blinks come from the blink CSV, their event type from the event log
+    const eventTypes = new Map();
+    for (const log of artifactsOf(manifest, sessionDir, 'eventLog')) {
+        for (const row of readCsv(log.file)) eventTypes.set(row.EventId, row.Type);
+    }
+    const blinks = artifactsOf(manifest, sessionDir, 'blinkLog').flatMap(log => readCsv(log.file)).map(row => ({
+        onset: row.Timestamp,
+        onsetTime: Date.parse(row.Timestamp),
+        recoveryTime: row.Recovery ? Date.parse(row.Recovery) : null,
+        sensor: parseInt(row.Sensor, 10),
+        durationMs: row.DurationMs !== '' ? parseFloat(row.DurationMs) : null,
+        minLevelPercent: row.MinLevelPercent,
+        eventId: row.EventId || '',
+        eventType: row.EventId ? eventTypes.get(row.EventId) || '' : '',
+        recipeStep: row.RecipeCommand
+            ? `${row.RecipeCommand}${row.RecipeParam ? ` ${row.RecipeParam}` : ''}` +
+                (row.RecipeStep ? ` (loop ${row.RecipeLoop}, step ${row.RecipeStep})` : '') +
+                ` +${row.StepElapsedMs} ms`
+            : ''
+    })).sort((a, b) => a.onsetTime - b.onsetTime);
+
+    // Clips saved by BlinkCameraController, and which blinks each one shows
+    const videos = artifactsOf(manifest, sessionDir, 'video').map(video => ({
+        name: path.basename(video.file),
+        href: path.relative(sessionDir, video.file).split(path.sep).join('/')
+    }));
+    const clipFor = new Map();
+    for (const events of artifactsOf(manifest, sessionDir, 'videoEvents')) {
+        const clip = path.relative(sessionDir, events.file.replace(/\.json$/, '.mp4')).split(path.sep).join('/');
+        for (const event of JSON.parse(fs.readFileSync(events.file, 'utf8'))) {
+            clipFor.set(`${event.channel + 1}@${event.onset}`, clip);
+        }
+    }
+
+    // DeviceSnapshotComparer reports; main.js records how many devices each one lists
+    const deviceChanges = artifactsOf(manifest, sessionDir, 'deviceChanges').map(changes => ({
+        name: path.basename(changes.file),
+        counts: changes.added !== undefined ? `${changes.added} added, ${changes.removed} removed, ${changes.modified} modified` : '',
+        text: fs.readFileSync(changes.file, 'utf8')
+    }));
+
+    const start = Date.parse(manifest.startedAt);
+    const end = manifest.stoppedAt ? Date.parse(manifest.stoppedAt) : Math.max(start, ...blinks.map(blink => blink.onsetTime));
+    const sampleFiles = artifactsOf(manifest, sessionDir, 'sampleLog').sort((a, b) => a.part - b.part).map(log => log.file);
+    const signal = await loadSignal(sampleFiles, start, end);
+
+    const counts = manifest.blinkCounts || {};
+    const channelCount = Math.max(
+        signal.length,
+        (counts.perSensor || []).length,
+        manifest.firmware ? manifest.firmware.channels : 0,
+        ...blinks.map(blink => blink.sensor)
+    );
+
+    const summary = [
+        ['Session', manifest.sessionId],
+        ['Status', manifest.status + (manifest.error ? ` (${manifest.error})` : '')],
+        ['Verdict', manifest.verdict ? `${manifest.verdict.result}: ${manifest.verdict.reasons.join('; ') || 'no rules set'}` : ''],
+        ['Started', manifest.startedAt],
+        ['Stopped', manifest.stoppedAt || ''],
+        ['Duration', `${((end - start) / 1000).toFixed(1)} s`],
+        ['Port', manifest.port ? manifest.port.path : ''],
+        ['Firmware', manifest.firmware ? `${manifest.firmware.name} ${manifest.firmware.firmwareVersion || ''}` : ''],
+        ['Calibration profile', manifest.calibration && manifest.calibration.profile ? manifest.calibration.profile : 'none'],
+        ['Blinks', blinks.length],
+        ['Global / partial events', counts.correlated ? `${counts.correlated.global} / ${counts.correlated.partial}` : ''],
+        ['Flicker episodes', counts.flickerEpisodes !== undefined ? counts.flickerEpisodes : ''],
+        ['Connection gaps', (manifest.connectionGaps || []).length],
+        ['Serial round trip', manifest.timing && manifest.timing.serialLatency.count
+            ? `median ${manifest.timing.serialLatency.p50Ms} ms, p90 ${manifest.timing.serialLatency.p90Ms} ms, ` +
+                `max ${manifest.timing.serialLatency.maxMs} ms (${manifest.timing.serialLatency.count} replies)`
+            : ''],
+        ['Recipe', manifest.recipe ? manifest.recipe.commands.join(' → ') : ''],
+        ['Recipe loops passed', manifest.assertions
+            ? `${manifest.assertions.filter(report => report.result === 'PASS').length} of ${manifest.assertions.length}`
+            : '']
+    ];
+
+    const channels = [];
+    for (let channel = 0; channel < channelCount; channel++) {
+        const channelBlinks = blinks.filter(blink => blink.sensor === channel + 1);
+        channels.push(`<h3>Sensor ${channel + 1} <small>${channelBlinks.length} blink(s), duration min / mean / max ${escapeHtml(durationStats(channelBlinks)) || 'n/a'}</small></h3>` +
+            renderPlot(channel, signal[channel] || [], channelBlinks, { start, end }, manifest.calibration));
+    }
+
+    const blinkRows = blinks.map(blink => {
+        const clip = clipFor.get(`${blink.sensor}@${blink.onset}`);
+        return `<tr><td>${escapeHtml(blink.onset)}</td><td>${blink.sensor}</td>` +
+            `<td>${blink.durationMs !== null ? blink.durationMs : 'not recovered'}</td>` +
+            `<td>${escapeHtml(blink.minLevelPercent)}</td>` +
+            `<td>${blink.eventId ? `#${escapeHtml(blink.eventId)} ${escapeHtml(blink.eventType)}` : ''}</td>` +
+            `<td>${escapeHtml(blink.recipeStep)}</td>` +
+            `<td>${clip ? `<a href="${escapeHtml(clip)}">${escapeHtml(path.basename(clip))}</a>` : ''}</td></tr>`;
+    });
+
+    // One table row per assertion, grouped by recipe loop
+    const assertionRows = (manifest.assertions || []).flatMap(report => report.assertions.map((entry, i) =>
+        `<tr>${i === 0 ? `<td rowspan="${report.assertions.length}">${report.loop}: ${escapeHtml(report.result)}</td>` : ''}` +
+        `<td>${entry.step} ${escapeHtml(entry.command)}</td><td>${escapeHtml(entry.type)}</td>` +
+        `<td class="${entry.status}">${escapeHtml(entry.status)}</td><td>${escapeHtml(entry.message)}</td></tr>`));
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Blink session ${escapeHtml(manifest.sessionId)}</title>
+<style>
+body { font-family: Segoe UI, Arial, sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 16px; }
+td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 13px; }
+th { background: #f0f0f0; }
+h3 small { font-weight: normal; color: #666; font-size: 13px; }
+svg { background: #fff; font-size: 11px; }
+svg .frame { fill: none; stroke: #999; }
+svg .signal { fill: none; stroke: #1565c0; stroke-width: 1; }
+svg .blink { fill: #e53935; opacity: 0.35; }
+svg .level { stroke: #888; stroke-dasharray: 4 3; }
+td.fail { color: #c62828; font-weight: bold; }
+td.pass { color: #2e7d32; }
+pre { background: #f7f7f7; padding: 8px; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>Blink session ${escapeHtml(manifest.sessionId)}</h1>
+<h2>Summary</h2>
+<table>${summary.map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+<h2>Signals</h2>
+${channels.join('\n')}
+<h2>Blink events</h2>
+<table>
+<tr><th>Onset</th><th>Sensor</th><th>Duration (ms)</th><th>Darkest level (%)</th><th>Event</th><th>Recipe step</th><th>Clip</th></tr>
+${blinkRows.join('\n') || '<tr><td colspan="7">No blinks detected</td></tr>'}
+</table>
+<h2>Recipe assertions</h2>
+${assertionRows.length ? `<table>
+<tr><th>Loop</th><th>Step</th><th>Assertion</th><th>Status</th><th>Details</th></tr>
+${assertionRows.join('\n')}
+</table>` : '<p>No recipe assertions checked in this session.</p>'}
+<h2>Video clips</h2>
+${videos.length ? `<ul>${videos.map(video => `<li><a href="${escapeHtml(video.href)}">${escapeHtml(video.name)}</a></li>`).join('')}</ul>` : '<p>No clips saved.</p>'}
+<h2>Device Manager changes</h2>
+${deviceChanges.length ? deviceChanges.map(changes => `<h3>${escapeHtml(changes.name)} <small>${escapeHtml(changes.counts)}</small></h3><pre>${escapeHtml(changes.text)}</pre>`).join('\n') : '<p>No device snapshots compared in this session.</p>'}
+<p><small>Generated ${escapeHtml(new Date().toISOString())}</small></p>
+</body>
+</html>
+`;
+
+    const reportPath = path.join(sessionDir, 'report.html');
+    fs.writeFileSync(reportPath, html);
+    return reportPath;
+}
+
+if (require.main === module) {
+    const [sessionDir] = process.argv.slice(2);
+    if (!sessionDir) {
+        console.error('Usage: node report.js <session folder>');
+        process.exit(1);
+    }
+
+    generateReport(sessionDir).then(reportPath => {
+        console.log(`Report written to ${reportPath}`);
+        process.exit(0);
+    }).catch(error => {
+        console.error('Report failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = generateReport;
@@ -3,19 +3,166 @@ const { SerialPortStream } = require('@serialport/stream');
 const { autoDetect } = require('@serialport/bindings-cpp');
 const EventEmitter = require('events');
 const readline = require('readline');
+const VirtualSensorDevice = require('./VirtualSensorDevice');
+const SessionClock = require('./SessionClock');
+const LatencyHistogram = require('./LatencyHistogram');
+
+// Reply to a sensor poll: one value per channel, "v1, v2, ..., vN"
+const SENSOR_REPLY = /^\d+\.\d+(,\s*\d+\.\d+)*$/;
+// Streamed sample: "D,<seq>,<micros>,v1,...,vN"
+const STREAM_SAMPLE = /^D,(\d+),(\d+),(\d+\.\d+(?:,\s*\d+\.\d+)*)$/;
+const MAX_CHANNELS = 8;
+
+// Guards a closed port against late 'error' events; removed again when the port reopens
+function ignoreLateError() {}
+
+function parseValues(text) {
+    return text.split(',').map(value => parseFloat(value));
+}
+
+// Reply to the identify command: "ID name=BlinkSensor fw=1.2.0 ch=2 cmds=s,b,m,c,d,r,x maxrate=1000"
+const IDENTIFY_REPLY = /^ID(\s|$)/;
+const MIN_FIRMWARE_VERSION = '1.0.0';
+
+// What firmware that does not answer 'i' is assumed to do
+const LEGACY_CAPABILITIES = {
+    name: 'unidentified',
+    firmwareVersion: null,
+    channels: 2,
+    commands: ['s', 'b', 'm', 'c', 'd'],
+    maxSampleRate: null,
+    streaming: false,
+    acknowledgements: false,
+    legacy: true
+};
+
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+function parseIdentifyReply(reply) {
+    const fields = {};
+    for (const token of reply.split(/\s+/).slice(1)) {
+        const [key, ...rest] = token.split('=');
+        fields[key] = rest.join('=');
+    }
+
+    const commands = fields.cmds ? fields.cmds.split(',').filter(Boolean) : [];
+    return {
+        name: fields.name || 'unknown',
+        firmwareVersion: fields.fw || null,
+        channels: parseInt(fields.ch, 10) || 2,
+        commands,
+        maxSampleRate: parseInt(fields.maxrate, 10) || null,
+        streaming: commands.includes('r') && commands.includes('x'),
+        acknowledgements: true,
+        legacy: false
+    };
+}
 
 // Static variable for port persistence across instances
 let savedPortPath = null;
 
+// Default transport: real hardware through the serialport package
+const serialTransport = {
+    list: () => SerialPort.list(),
+    create: (options) => new SerialPort(options)
+};
+
+const MATCH_KEYS = ['vendorId', 'productId', 'serialNumber', 'manufacturer', 'path'];
+
+// Parses "vendorId=2341,productId=0043" (e.g. from BLINK_DEVICE_MATCH) into a match rule
+function parseMatchRule(text) {
+    if (!text) return null;
+
+    const rule = {};
+    for (const pair of text.split(',')) {
+        if (!pair.includes('=')) {
+            throw new Error(`Device match entry '${pair.trim()}' is not a key=value pair`);
+        }
+        const [key, ...rest] = pair.split('=');
+        rule[key.trim()] = rest.join('=').trim();
+    }
+    return validateMatchRule(rule);
+}
+
+// An empty value would match every port, so it is rejected like an unknown key
+function validateMatchRule(rule) {
+    for (const [name, value] of Object.entries(rule)) {
+        if (!MATCH_KEYS.includes(name)) {
+            throw new Error(`Unknown device match key '${name}' (expected one of ${MATCH_KEYS.join(', ')})`);
+        }
+        if (value === undefined || value === null || String(value).trim() === '') {
+            throw new Error(`Device match key '${name}' has no value`);
+        }
+    }
+    return rule;
+}
+
+function normalizeHexId(id) {
+    return String(id).toLowerCase().replace(/^0x/, '').replace(/^0+(?=.)/, '');
+}
+
+function portMatches(port, rule) {
+    if (rule.path && String(port.path).toLowerCase() !== rule.path.toLowerCase()) return false;
+    if (rule.vendorId && (!port.vendorId || normalizeHexId(port.vendorId) !== normalizeHexId(rule.vendorId))) return false;
+    if (rule.productId && (!port.productId || normalizeHexId(port.productId) !== normalizeHexId(rule.productId))) return false;
+    if (rule.serialNumber && port.serialNumber !== rule.serialNumber) return false;
+    if (rule.manufacturer && !(port.manufacturer || '').toLowerCase().includes(rule.manufacturer.toLowerCase())) return false;
+    return true;
+}
+
+function describeRule(rule) {
+    return Object.entries(rule).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+function defaultTransport() {
+    // BLINK_SIMULATOR=<pattern> runs everything against the virtual sensor board
+    if (process.env.BLINK_SIMULATOR) {
+        return VirtualSensorDevice.createTransport({ script: process.env.BLINK_SIMULATOR });
+    }
+    return serialTransport;
+}
+
 class DeviceSerialPort extends EventEmitter {
-    constructor(baudRate = 9600) {
+    constructor(baudRate = 9600, options = {}) {
         super();
         this.baudRate = baudRate;
+        this.transport = options.transport || defaultTransport();
         this.port = null;
         this.portPath = null;
-        this.isBusy = false;
+        this.portInfo = null;
+        // Match rule for unattended stations; the prompt is only used when promptFallback is set
+        this.match = options.match ? validateMatchRule(options.match) : parseMatchRule(process.env.BLINK_DEVICE_MATCH);
+        this.promptFallback = options.promptFallback === true;
+        this.commandQueue = [];
+        this.activeCommand = null;
+        this.commandTimeout = options.commandTimeout || 1000;
+        this.commandRetries = options.commandRetries !== undefined ? options.commandRetries : 2;
+        // Firmware without acknowledgements can only be driven fire-and-forget
+        this.acknowledgeCommands = options.acknowledgeCommands !== false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 3;
+        this.isStreaming = false;
+        this.streamStats = null;
+        this.isClosing = false;
+        this.capabilities = null;
+        this.handshake = options.handshake !== false;
+        // Channel count from configuration; otherwise taken from the firmware
+        this.channels = options.channels || null;
+        // Run against firmware that fails the compatibility check instead of refusing to start
+        this.allowIncompatibleFirmware = options.allowIncompatibleFirmware === true;
+        // Every received line is stamped with this clock; pass the session's clock to share it
+        this.clock = options.clock || new SessionClock();
+        // Command -> reply round trips, overall and per command letter
+        this.latency = new LatencyHistogram();
+        this.commandLatency = {};
     }
 
     createInterface() {
@@ -39,13 +186,28 @@ class DeviceSerialPort extends EventEmitter {
 
     async selectPort() {
         try {
+            // Transports with a single fixed device (e.g. the simulator) need no selection
+            if (this.transport.defaultPath) {
+                const ports = await this.transport.list();
+                this.portInfo = ports.find(port => port.path === this.transport.defaultPath) || null;
+                return this.transport.defaultPath;
+            }
+
+            if (this.match) {
+                const matched = await this.selectMatchingPort();
+                if (matched) {
+                    return matched;
+                }
+            }
+
             // First check if we have a saved port and if it's still available
             if (savedPortPath) {
-                const ports = await SerialPort.list();
-                const savedPortExists = ports.some(port => port.path === savedPortPath);
+                const ports = await this.transport.list();
+                const savedPort = ports.find(port => port.path === savedPortPath);
                 
-                if (savedPortExists) {
+                if (savedPort) {
                     console.log(`Using saved port: ${savedPortPath}`);
+                    this.portInfo = savedPort;
                     return savedPortPath;
                 } else {
                     console.log('Saved port no longer available, selecting new port...');
@@ -53,7 +215,7 @@ class DeviceSerialPort extends EventEmitter {
                 }
             }
 
-            const ports = await SerialPort.list();
+            const ports = await this.transport.list();
             
             if (ports.length === 0) {
                 throw new Error('No serial ports found');
@@ -88,6 +250,7 @@ class DeviceSerialPort extends EventEmitter {
                         rl.close();
                         // Save the port for future use
                         savedPortPath = selectedPort.path;
+                        this.portInfo = selectedPort;
                         return selectedPort.path;
                     }
                 } else {
@@ -99,9 +262,34 @@ class DeviceSerialPort extends EventEmitter {
         }
     }
 
+    // Returns the single port matching this.match, or null when falling back to the prompt
+    async selectMatchingPort() {
+        const ports = await this.transport.list();
+        const matches = ports.filter(port => portMatches(port, this.match));
+
+        if (matches.length === 1) {
+            console.log(`Using port ${matches[0].path} matching ${describeRule(this.match)}`);
+            this.portInfo = matches[0];
+            return matches[0].path;
+        }
+
+        const available = ports.length > 0
+            ? ports.map(port => `${port.path} (vendorId=${port.vendorId || '?'}, productId=${port.productId || '?'}, serialNumber=${port.serialNumber || '?'})`).join('; ')
+            : 'none';
+        const message = matches.length === 0
+            ? `No serial port matches ${describeRule(this.match)}. Available ports: ${available}`
+            : `${matches.length} serial ports match ${describeRule(this.match)} (${matches.map(port => port.path).join(', ')}); add serialNumber or path to the rule`;
+
+        if (this.promptFallback) {
+            console.log(`${message}. Falling back to manual selection...`);
+            return null;
+        }
+        throw new Error(message);
+    }
+
     async forceClearPort(portPath) {
         return new Promise((resolve) => {
-            const testPort = new SerialPort({
+            const testPort = this.transport.create({
                 path: portPath,
                 baudRate: this.baudRate,
                 autoOpen: false
@@ -121,7 +309,7 @@ class DeviceSerialPort extends EventEmitter {
 
     async initialize() {
         try {
-            if (this.port && this.port.isOpen) {
+            if (this.port) {
                 await this.close();
             }
 
@@ -130,23 +318,16 @@ class DeviceSerialPort extends EventEmitter {
 
             console.log(`Initializing port ${this.portPath}`);
             
-            this.port = new SerialPort({
-                path: this.portPath,
-                baudRate: this.baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                autoOpen: false,
-                rtscts: true
-            });
+            this.port = this.createPort(this.portPath);
 
             await this.openPort();
             this.setupDataListener();
+            await this.identify();
             
             return true;
         } catch (error) {
             // If there's an error with the saved port, clear it and try again
-            if (savedPortPath === this.portPath) {
+            if (savedPortPath && savedPortPath === this.portPath) {
                 console.log('Error with saved port, clearing saved port and retrying...');
                 savedPortPath = null;
                 return await this.initialize();
@@ -155,6 +336,18 @@ class DeviceSerialPort extends EventEmitter {
         }
     }
 
+    createPort(portPath) {
+        return this.transport.create({
+            path: portPath,
+            baudRate: this.baudRate,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            autoOpen: false,
+            rtscts: true
+        });
+    }
+
     async openPort() {
         return new Promise((resolve, reject) => {
             this.port.open((error) => {
@@ -163,57 +356,224 @@ class DeviceSerialPort extends EventEmitter {
                     return;
                 }
                 
+                // Transports may hand back the same port object on every open
+                this.port.off('error', ignoreLateError);
                 this.port.on('error', this.handlePortError.bind(this));
+                this.port.on('close', () => {
+                    // Unplugging the USB device closes the port without close() being called
+                    if (!this.isClosing) {
+                        this.handlePortError(new Error(`Port ${this.portPath} closed unexpectedly`));
+                    }
+                });
                 resolve();
             });
         });
     }
 
+    // Reopens the same path without re-running port selection, resuming a stream if one was active
+    async reopen(portPath = this.portPath) {
+        const wasStreaming = this.isStreaming;
+        if (this.port) {
+            await this.close();
+        }
+
+        this.portPath = portPath;
+        this.port = this.createPort(portPath);
+        await this.openPort();
+        this.setupDataListener();
+
+        const ports = await this.transport.list();
+        this.portInfo = ports.find(port => port.path === portPath) || null;
+        this.reconnectAttempts = 0;
+        await this.identify();
+
+        if (wasStreaming && this.streamStats) {
+            // The firmware restarts its sequence numbers after a reset
+            this.streamStats.expectedSeq = null;
+            await this.sendCommand(`r${this.streamStats.rate}`, { expect: this.ackFor(`r${this.streamStats.rate}`) });
+            this.isStreaming = true;
+        }
+    }
+
+    // Asks the firmware who it is; firmware that stays silent is treated as legacy
+    async identify() {
+        if (!this.handshake) {
+            this.capabilities = {
+                ...LEGACY_CAPABILITIES,
+                channels: this.channels || LEGACY_CAPABILITIES.channels,
+                acknowledgements: this.acknowledgeCommands
+            };
+            return this.capabilities;
+        }
+
+        let capabilities;
+        try {
+            const reply = await this.sendCommand('i', { expect: IDENTIFY_REPLY, timeout: 500, retries: 1 });
+            capabilities = parseIdentifyReply(reply);
+        } catch (error) {
+            if (!/timed out/.test(error.message)) throw error;
+            console.log('Firmware did not answer identify request, assuming legacy firmware');
+            capabilities = { ...LEGACY_CAPABILITIES, channels: this.channels || LEGACY_CAPABILITIES.channels };
+        }
+
+        const problems = DeviceSerialPort.checkCompatibility(capabilities, this.channels);
+        if (problems.length > 0) {
+            const message = `Incompatible firmware (${capabilities.name} ${capabilities.firmwareVersion || 'unknown version'}): ${problems.join('; ')}`;
+            if (!this.allowIncompatibleFirmware) {
+                await this.close();
+                throw new Error(message);
+            }
+            console.warn(`Warning: ${message}`);
+        }
+
+        this.capabilities = capabilities;
+        this.acknowledgeCommands = capabilities.acknowledgements;
+        console.log(`Firmware: ${capabilities.name} ${capabilities.firmwareVersion || '(legacy)'}, ` +
+            `${capabilities.channels} channel(s), commands: ${capabilities.commands.join(' ')}` +
+            (capabilities.maxSampleRate ? `, max ${capabilities.maxSampleRate} Hz` : ''));
+        return capabilities;
+    }
+
+    static checkCompatibility(capabilities, expectedChannels = null) {
+        const problems = [];
+        if (capabilities.firmwareVersion && compareVersions(capabilities.firmwareVersion, MIN_FIRMWARE_VERSION) < 0) {
+            problems.push(`version ${capabilities.firmwareVersion} is older than ${MIN_FIRMWARE_VERSION}`);
+        }
+        if (!capabilities.commands.includes('s')) {
+            problems.push('sensor read command \'s\' is not supported');
+        }
+        if (capabilities.channels < 1 || capabilities.channels > MAX_CHANNELS) {
+            problems.push(`${capabilities.channels} channel(s) reported, this host supports 1 to ${MAX_CHANNELS}`);
+        }
+        if (expectedChannels && capabilities.channels !== expectedChannels) {
+            problems.push(`configured for ${expectedChannels} channel(s) but firmware reports ${capabilities.channels}`);
+        }
+        return problems;
+    }
+
+    supports(command) {
+        return !this.capabilities || this.capabilities.commands.includes(command);
+    }
+
     handlePortError(error) {
+        // An attached DeviceWatcher owns recovery
+        if (this.listenerCount('portError') > 0) {
+            this.emit('portError', error);
+            return;
+        }
+
         if (this.reconnectAttempts < this.maxReconnectAttempts) {
             this.reconnectAttempts++;
-            this.initialize().catch(() => {});
-        } else {
+            this.reopen().catch(() => {});
+        } else if (this.listenerCount('error') > 0) {
             this.emit('error', error);
+        } else {
+            console.error(`Serial port error: ${error.message}`);
         }
     }
 
     setupDataListener() {
         let buffer = '';
         this.port.on('data', (data) => {
+            // Stamped on arrival, before any parsing or queue handling
+            const receivedAt = this.clock.now();
             const received = data.toString();
             buffer += received;
             const messages = buffer.split('\n');
             buffer = messages.pop();
             
             for (const message of messages) {
-                this.processResponse(message.trim());
+                this.processResponse(message.trim(), receivedAt);
             }
         });
-
-        this.port.on('error', (error) => {
-            this.emit('error', error);
-        });
     }
 
-    processResponse(response) {
+    processResponse(response, receivedAt = this.clock.now()) {
         if (!response) return;
 
-        this.isBusy = false;
+        // Streamed samples are unsolicited and never answer a pending command
+        const sample = response.match(STREAM_SAMPLE);
+        if (sample) {
+            this.processStreamSample({
+                seq: parseInt(sample[1], 10),
+                deviceTime: parseInt(sample[2], 10),
+                values: parseValues(sample[3]),
+                receivedAt
+            });
+            return;
+        }
 
-        const matches = response.match(/^(\d+\.\d+),\s*(\d+\.\d+)$/);
-        if (matches) {
-            const data = {
-                value1: parseFloat(matches[1]),
-                value2: parseFloat(matches[2])
-            };
-            this.emit('data', data);
+        this.matchReply(response, receivedAt);
+
+        if (SENSOR_REPLY.test(response)) {
+            this.emit('data', { values: parseValues(response), receivedAt });
             this.emit('response', response);
         } else {
             this.emit('response', response);
         }
     }
 
+    processStreamSample(data) {
+        const stats = this.streamStats;
+        if (!stats) return;
+
+        stats.received++;
+        if (stats.expectedSeq !== null && data.seq !== stats.expectedSeq) {
+            if (data.seq > stats.expectedSeq) {
+                const count = data.seq - stats.expectedSeq;
+                stats.dropped += count;
+                this.emit('samplesDropped', { expectedSeq: stats.expectedSeq, seq: data.seq, count });
+            } else {
+                stats.outOfOrder++;
+                // Late samples are reported but not fed to detection
+                this.emit('sampleOutOfOrder', { expectedSeq: stats.expectedSeq, seq: data.seq });
+                return;
+            }
+        }
+        stats.expectedSeq = data.seq + 1;
+
+        // Same checks as ReadSensor; a truncated or garbled line never reaches detection
+        const expected = this.capabilities ? this.capabilities.channels : data.values.length;
+        if (data.values.length !== expected || !data.values.every(Number.isFinite)) {
+            stats.malformed++;
+            this.emit('sampleMalformed', { seq: data.seq, expected, count: data.values.length });
+            return;
+        }
+        this.emit('data', data);
+    }
+
+    // Ask the firmware to push samples continuously instead of answering 's' polls
+    async startStreaming(rate = 500) {
+        if (this.capabilities && !this.capabilities.streaming) {
+            throw new Error('Firmware does not support streaming');
+        }
+        if (this.capabilities && this.capabilities.maxSampleRate && rate > this.capabilities.maxSampleRate) {
+            console.warn(`Warning: requested ${rate} Hz exceeds firmware maximum, using ${this.capabilities.maxSampleRate} Hz`);
+            rate = this.capabilities.maxSampleRate;
+        }
+        this.streamStats = {
+            rate,
+            received: 0,
+            dropped: 0,
+            outOfOrder: 0,
+            malformed: 0,
+            expectedSeq: null,
+            startedAt: this.clock.now()
+        };
+        await this.sendCommand(`r${rate}`, { expect: this.ackFor(`r${rate}`) });
+        this.isStreaming = true;
+    }
+
+    async stopStreaming() {
+        if (!this.isStreaming) return this.streamStats;
+
+        this.isStreaming = false;
+        if (this.port && this.port.isOpen) {
+            await this.sendCommand('x', { expect: this.ackFor('x') });
+        }
+        return this.streamStats;
+    }
+
     async changePort() {
         // Clear saved port when explicitly changing ports
         savedPortPath = null;
@@ -223,128 +583,202 @@ class DeviceSerialPort extends EventEmitter {
         await this.initialize();
     }
 
-    async sendCommand(command) {
-        let busyWaitTime = 0;
-        const MAX_BUSY_WAIT = 1000;
-        
-        while (this.isBusy) {
-            await new Promise(resolve => setTimeout(resolve, 10));
-            busyWaitTime += 10;
-            
-            if (busyWaitTime >= MAX_BUSY_WAIT) {
-                this.isBusy = false;
-                break;
-            }
-        }
-        
-        this.isBusy = true;
-        
+    // Commands are written one at a time; each waits for its own reply before the next is sent.
+    // With timing: true the reply resolves as { reply, sentAt, receivedAt, roundTripMs }.
+    sendCommand(command, options = {}) {
         return new Promise((resolve, reject) => {
-            this.port.write(command + '\n', (error) => {
-                if (error) {
-                    this.isBusy = false;
-                    reject(new Error(`Failed to send command: ${error.message}`));
-                    return;
-                }
-                
-                setTimeout(() => {
-                    if (this.isBusy) {
-                        this.isBusy = false;
-                    }
-                }, 100);
-                
-                resolve();
+            this.commandQueue.push({
+                command,
+                expect: options.expect || null,
+                timing: options.timing === true,
+                sentAt: null,
+                timeout: options.timeout || this.commandTimeout,
+                retries: options.retries !== undefined ? options.retries : this.commandRetries,
+                attempts: 0,
+                timer: null,
+                resolve,
+                reject
             });
+            this.processQueue();
         });
     }
 
-    async ReadSensor() {
-        try {
-            await this.sendCommand('s');
-            
-            return new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    this.isBusy = false;
-                    reject(new Error('Sensor read timeout'));
-                }, 5000);
-
-                const handleResponse = (data) => {
-                    clearTimeout(timeout);
-                    
-                    const matches = data.match(/^(\d+\.\d+),\s*(\d+\.\d+)$/);
-                    if (matches) {
-                        resolve({
-                            value1: parseFloat(matches[1]),
-                            value2: parseFloat(matches[2])
-                        });
-                    } else {
-                        reject(new Error('Invalid sensor data format'));
-                    }
-                };
+    processQueue() {
+        if (this.activeCommand || this.commandQueue.length === 0) return;
+
+        const entry = this.commandQueue.shift();
+        this.activeCommand = entry;
+        this.writeCommand(entry);
+    }
 
-                const handleError = (error) => {
-                    clearTimeout(timeout);
-                    reject(error);
-                };
+    writeCommand(entry) {
+        if (!this.port || !this.port.isOpen) {
+            this.finishCommand(entry, new Error(`Failed to send command: port is not open`));
+            return;
+        }
 
-                this.once('response', handleResponse);
-                this.once('error', handleError);
+        entry.attempts++;
+        entry.sentAt = this.clock.now();
+        this.port.write(entry.command + '\n', (error) => {
+            if (this.activeCommand !== entry) return;
 
-                timeout.unref();
-            });
-        } catch (error) {
-            throw error;
+            if (error) {
+                this.finishCommand(entry, new Error(`Failed to send command: ${error.message}`));
+                return;
+            }
+
+            if (!entry.expect) {
+                this.finishCommand(entry, null);
+                return;
+            }
+
+            entry.timer = setTimeout(() => this.handleCommandTimeout(entry), entry.timeout);
+        });
+    }
+
+    handleCommandTimeout(entry) {
+        if (this.activeCommand !== entry) return;
+
+        if (entry.attempts <= entry.retries) {
+            console.log(`No reply to '${entry.command}', retrying (${entry.attempts}/${entry.retries})...`);
+            this.writeCommand(entry);
+            return;
         }
+
+        this.finishCommand(entry, new Error(`Command '${entry.command}' timed out after ${entry.attempts} attempt(s)`));
     }
 
-    async MagnetOn() {
-        try {
-            await this.sendCommand('b');
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+    matchReply(response, receivedAt) {
+        const entry = this.activeCommand;
+        if (!entry || !entry.expect || !entry.timer) return false;
+
+        const matched = entry.expect instanceof RegExp
+            ? entry.expect.test(response)
+            : entry.expect(response);
+        if (matched) {
+            this.finishCommand(entry, null, response, receivedAt);
         }
+        return matched;
     }
 
-    async MagnetOff() {
-        try {
-            await this.sendCommand('m');
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+    finishCommand(entry, error, reply, receivedAt) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        if (this.activeCommand === entry) {
+            this.activeCommand = null;
         }
+
+        // Only replies give a round trip; fire-and-forget writes finish on the write callback
+        const roundTripMs = receivedAt !== undefined ? receivedAt - entry.sentAt : null;
+        if (roundTripMs !== null) {
+            this.recordLatency(entry.command, roundTripMs);
+        }
+
+        if (error) {
+            entry.reject(error);
+        } else if (entry.timing) {
+            entry.resolve({ reply, sentAt: entry.sentAt, receivedAt: receivedAt !== undefined ? receivedAt : null, roundTripMs });
+        } else {
+            entry.resolve(reply);
+        }
+        this.processQueue();
     }
 
-    async ACOn() {
-        try {
-            await this.sendCommand('c');
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+    recordLatency(command, roundTripMs) {
+        this.latency.record(roundTripMs);
+        const key = command.charAt(0);
+        if (!this.commandLatency[key]) {
+            this.commandLatency[key] = new LatencyHistogram();
         }
+        this.commandLatency[key].record(roundTripMs);
     }
 
-    async ACOff() {
-        try {
-            await this.sendCommand('d');
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+    // Typical one-way delay (half the median round trip), 0 before any reply has been timed
+    oneWayLatency() {
+        const median = this.latency.percentile(50);
+        return median !== null ? median / 2 : 0;
+    }
+
+    describeLatency() {
+        const byCommand = {};
+        for (const [command, histogram] of Object.entries(this.commandLatency)) {
+            const { count, p50Ms, p90Ms, maxMs } = histogram.summary();
+            byCommand[command] = { count, p50Ms, p90Ms, maxMs };
+        }
+        return { ...this.latency.summary(), byCommand };
+    }
+
+    rejectPendingCommands(error) {
+        const pending = this.activeCommand ? [this.activeCommand, ...this.commandQueue] : [...this.commandQueue];
+        this.commandQueue = [];
+        this.activeCommand = null;
+        for (const entry of pending) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
         }
     }
 
+    // Resolves { values, sentAt, receivedAt, roundTripMs }; times come from this.clock
+    async ReadSensor() {
+        const { reply, sentAt, receivedAt, roundTripMs } = await this.sendCommand('s', {
+            expect: SENSOR_REPLY,
+            timeout: 1000,
+            retries: 2,
+            timing: true
+        });
+        const values = parseValues(reply);
+        const expected = this.capabilities ? this.capabilities.channels : values.length;
+        if (values.length !== expected) {
+            throw new Error(`Invalid sensor data format: expected ${expected} value(s), got ${values.length}`);
+        }
+        return { values, sentAt, receivedAt, roundTripMs };
+    }
+
+    // Matcher for the firmware's "ACK <command>" reply, or null when acks are not supported
+    ackFor(command) {
+        const expected = `ACK ${command}`;
+        return this.acknowledgeCommands ? (response) => response === expected : null;
+    }
+
+    async sendRelayCommand(command) {
+        if (!this.supports(command)) {
+            throw new Error(`Firmware does not support command '${command}'`);
+        }
+        await this.sendCommand(command, { expect: this.ackFor(command) });
+    }
+
+    async MagnetOn() {
+        await this.sendRelayCommand('b');
+    }
+
+    async MagnetOff() {
+        await this.sendRelayCommand('m');
+    }
+
+    async ACOn() {
+        await this.sendRelayCommand('c');
+    }
+
+    async ACOff() {
+        await this.sendRelayCommand('d');
+    }
+
     async close() {
         if (!this.port) return;
 
+        this.isClosing = true;
         return new Promise((resolve) => {
             const cleanup = () => {
+                this.isClosing = false;
+                this.rejectPendingCommands(new Error('Port closed'));
+                this.port.removeAllListeners();
+                // Late errors from a closed port must not become unhandled 'error' events
+                this.port.on('error', ignoreLateError);
                 this.port = null;
                 this.portPath = null;
-                this.isBusy = false;
+                this.portInfo = null;
+                this.isStreaming = false;
+                this.capabilities = null;
                 resolve();
             };
 
@@ -365,4 +799,9 @@ class DeviceSerialPort extends EventEmitter {
     }
 }
 
+DeviceSerialPort.parseMatchRule = parseMatchRule;
+DeviceSerialPort.portMatches = portMatches;
+DeviceSerialPort.MIN_FIRMWARE_VERSION = MIN_FIRMWARE_VERSION;
+DeviceSerialPort.MAX_CHANNELS = MAX_CHANNELS;
+
 module.exports = DeviceSerialPort;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// simulate.js
+// Runs the integrated blink test end-to-end against the virtual sensor board.
+// Usage: node simulate.js [pattern] [seconds] [poll|stream] [channels]
+const IntegratedBlinkTest = require('./integrated-test.js');
+const VirtualSensorDevice = require('./VirtualSensorDevice');
+
+async function runSimulation(pattern = 'blinks', seconds = 15, acquisitionMode = 'poll', channels = 2) {
+    const transport = VirtualSensorDevice.createTransport({ script: pattern, noise: 0.02, channels });
+    const { white, black } = transport.device;
+    const threshold = Math.abs(white - black) * 0.5;
+
+    const blinkTest = new IntegratedBlinkTest({
+        transport,
+        camera: false,
+        testDuration: seconds * 1000,
+        acquisitionMode,
+        detection: { mode: 'level' },
+        calibration: {
+            whiteValue: new Array(channels).fill(white),
+            blackValue: new Array(channels).fill(black),
+            threshold: new Array(channels).fill(threshold)
+        }
+    });
+
+    await blinkTest.initialize();
+    try {
+        await blinkTest.startTest();
+    } finally {
+        const logFile = await blinkTest.cleanup();
+        console.log(`\nBlink log: ${logFile}`);
+    }
+}
+
+if (require.main === module) {
+    const [pattern, seconds, mode, channels] = process.argv.slice(2);
+    console.log('Starting Blink Detector Simulation');
+    console.log('==================================\n');
+
+    runSimulation(pattern, seconds ? parseFloat(seconds) : undefined, mode, channels ? parseInt(channels, 10) : undefined).then(() => {
+        process.exit(0);
+    }).catch(error => {
+        console.error('Simulation failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = runSimulation;